@@ -3,36 +3,79 @@
 
 const pjson = require('./package.json')
 
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const readline = require('readline')
 const util = require('util')
 const chalk = require('chalk')
 const moment = require('moment')
+const noop = require('@rdcl/noop')
 
 const argv = require('yargs')
-  .usage('Usage: $0 [options]')
+  .usage('Usage: $0 [options]\n       $0 [options] -c <command> [-c <command> ...]\n       $0 [options] < script')
 
   .boolean('timestamps')
   .describe('timestamps', 'Show timestamps')
   .default('timestamps', false)
 
-  .describe('host', 'The host MPD listens on.')
+  .describe('host', 'The host MPD listens on. May be given as password@host.')
   .default('host', process.env.MPD_HOST || 'localhost')
 
+  .describe('password', 'The password to send to MPD after connecting.')
+
   .describe('port', 'The port MPD listens on.')
   .default('port', process.env.MPD_PORT || 6600)
 
   .describe('socket', 'The path to the Unix domain socket MPD listens on.')
 
+  .alias('c', 'command')
+  .string('c')
+  .describe('c', 'Runs a command and exits instead of showing the prompt. May be given more than once.')
+
+  .describe('format', 'How responses are printed: "pretty", "raw", "json" or "ndjson".')
+  .default('format', 'pretty')
+
+  .boolean('status-line')
+  .describe('status-line', 'Show what is playing in a line at the bottom of the terminal.')
+  .default('status-line', false)
+
+  .describe('history-size', 'The number of commands kept in ~/.rdcl-mpc_history. Use 0 to keep no history.')
+  .default('history-size', 500)
+
+  .boolean('continue')
+  .describe('continue', 'When running commands from -c or a script, continue after a command fails.')
+  .default('continue', false)
+
   .help('help')
   .argv
 
+const FORMATS = ['pretty', 'raw', 'json', 'ndjson']
+
+let format = String(argv.format)
+if (FORMATS.indexOf(format) === -1) {
+  console.error('Unknown format: "%s". Use one of %s.', format, FORMATS.join(', '))
+  process.exit(1)
+}
+
+// Like the official mpc, accept MPD_HOST in the form password@host.
+let host = String(argv.host)
+let password = argv.password
+const at = host.lastIndexOf('@')
+if (at > 0) {
+  if (password == null) {
+    password = host.substring(0, at)
+  }
+  host = host.substring(at + 1)
+}
+
 const netOpts = {}
 if (argv.socket == null) {
-  if (argv.host.startsWith('/')) {
-    netOpts.path = argv.host
+  if (host.startsWith('/')) {
+    netOpts.path = host
   }
   else {
-    netOpts.host = argv.host
+    netOpts.host = host
     netOpts.port = argv.port
   }
 }
@@ -40,29 +83,66 @@ else {
   netOpts.path = argv.socket
 }
 
-const MPClient = require('.')
-const mpc = new MPClient(netOpts)
+// Commands from -c, or from stdin if it is not a terminal, are run as a
+// script instead of showing the prompt.
+const scriptCommands = argv.command == null ? [] : [].concat(argv.command).map(String)
+const scripted = scriptCommands.length > 0 || !process.stdin.isTTY
 
-const dummyPromise = new Promise(resolve => resolve())
-
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-  completer: completer,
+const MPClient = require('.')
+const completion = require('./lib/completion')
+const mpc = new MPClient(netOpts, {
+  autoIdle: !scripted,
+  password: password == null ? undefined : String(password),
 })
 
-let autoidle = true
+let rl = null
+let autoidle = !scripted
 let commandList = null
+let exiting = false
+// The file descriptor of the transcript started with /record.
+let transcript = null
+// The PlayerState and timer behind the status line, while it is shown.
+let statusLine = null
+
+const HISTORY_FILE = path.join(os.homedir(), '.rdcl-mpc_history')
+const historySize = Math.max(0, parseInt(argv['history-size'], 10) || 0)
+// Passwords are kept out of the history, and out of transcripts.
+const PASSWORD_PATTERN = /^password\s/
+
+// For completion: the commands and tags the server knows about, which are
+// fetched after connecting, and the results of lsinfo for each directory.
+let mpdCommands = []
+let tagTypes = []
+const lsinfoCache = new completion.LsinfoCache(mpc)
+
+class ConsoleError extends Error {
+
+  /**
+   * An error in the use of a console command, e.g. an invalid argument.
+   * Only the message is shown.
+   *
+   * @param {String} message Formatted with util.format, like printOut.
+   */
+  constructor() {
+    super(util.format.apply(util, arguments))
+    this.name = 'ConsoleError'
+  }
+
+}
 
 const commandGroups = [
   {
     name: 'General',
-    commands: ['help', 'exit', 'autoidle'],
+    commands: ['help', 'exit', 'autoidle', 'format', 'statusline'],
   },
   {
     name: 'Connection',
     commands: ['connect', 'disconnect'],
   },
+  {
+    name: 'Transcripts',
+    commands: ['record', 'replay'],
+  },
   {
     name: 'Special commands',
     commands: ['startlist', 'endlist'],
@@ -73,58 +153,134 @@ const commands = {
     description: 'Shows this message.',
     action() {
       printHelp()
-      prompt()
     },
   },
   exit: {
     description: 'Exits.',
     action() {
-      rl.close()
+      exiting = true
+      if (rl != null) {
+        rl.close()
+      }
     },
   },
   autoidle: {
-    description: 'Toggles audo idle. When auto idle is active, the idle command is sent after each command.',
+    description: 'Toggles audo idle. When auto idle is active, the client goes back into idle after each command and each notification.',
     args: [Boolean],
     action(status) {
       autoidle = status == null
         ? !autoidle
         : status
 
-      printOut('Autoidle is now', autoidle ? 'on' : 'off')
-      prompt()
+      const promise = autoidle ? mpc.watch() : mpc.unwatch()
+
+      return promise.then(() => {
+        printOut('Autoidle is now', autoidle ? 'on' : 'off')
+      })
+    },
+  },
+  statusline: {
+    description: 'Toggles the status line at the bottom of the terminal, which shows what is playing. It is updated on notifications, so auto idle should be on.',
+    args: [Boolean],
+    action(show) {
+      if (show == null) {
+        show = statusLine == null
+      }
+
+      if (show) {
+        showStatusLine()
+      }
+      else {
+        hideStatusLine()
+      }
+    },
+  },
+  format: {
+    description: 'Sets how responses are printed: "pretty" (colored text), "raw" (the text MPD sent), "json" or "ndjson" (one line per response). Without an argument, shows the current format.',
+    args: [String],
+    action(newFormat) {
+      if (newFormat == null) {
+        printOut('The format is', format)
+        return
+      }
+      if (FORMATS.indexOf(newFormat) === -1) {
+        throw new ConsoleError('Unknown format: "%s". Use one of %s.', newFormat, FORMATS.join(', '))
+      }
+
+      format = newFormat
     },
   },
   connect: {
     description: 'Connect to the MPD server.',
     action() {
-      mpc.connect().then(res => {
-        mpc.once('end', disconnectHandler)
-        printOut(res)
-        prompt()
-      }).catch(err => {
-        printErr(err)
-        prompt()
+      return connect().then(greeting => {
+        printResponse({
+          data: {},
+          records: [],
+          status: greeting.trim(),
+          full: greeting,
+        })
       })
     },
   },
   disconnect: {
     description: 'Disconnect from the MPD server.',
     action() {
-      mpc.removeListener('end', disconnectHandler)
-      mpc.disconnect()
-      prompt()
+      disconnect()
+    },
+  },
+  record: {
+    description: 'Starts writing a transcript of every command and response, with timestamps, to the given file. Without a file, stops writing it.',
+    action() {
+      const file = Array.prototype.join.call(arguments, ' ')
+
+      stopRecording()
+      if (file === '') {
+        return
+      }
+
+      try {
+        transcript = fs.openSync(file, 'w')
+      }
+      catch (err) {
+        throw new ConsoleError('Could not open "%s": %s', file, err.message)
+      }
+
+      writeTranscript('#', util.format(
+        'rdcl-mpc %s, MPD %s',
+        pjson.version,
+        mpc.serverVersion == null ? 'unknown' : mpc.serverVersion
+      ))
+    },
+  },
+  replay: {
+    description: 'Sends the commands in a transcript written by /record again. Stops at the first command that fails, unless --continue was given.',
+    action() {
+      const file = Array.prototype.join.call(arguments, ' ')
+      let text
+
+      try {
+        text = fs.readFileSync(file, 'utf8')
+      }
+      catch (err) {
+        throw new ConsoleError('Could not read "%s": %s', file, err.message)
+      }
+
+      return runLines(readTranscript(text)).then(ok => {
+        if (!ok) {
+          throw new ConsoleError('Not all commands in "%s" succeeded.', file)
+        }
+      })
     },
   },
   startlist: {
     description: 'Starts collecting commands for a command list.',
     action() {
       if (commandList != null) {
-        printOut('Already collecting commands. End the previous list with /endlist.')
+        throw new ConsoleError('Already collecting commands. End the previous list with /endlist.')
       }
-      else {
-        commandList = []
-      }
-      prompt()
+
+      commandList = []
     },
   },
   endlist: {
@@ -132,105 +288,483 @@ const commands = {
     args: [Boolean],
     action(listOk) {
       if (commandList == null) {
-        printOut('Not collecting commands. Start collecting with /startlist.')
-        prompt()
-      }
-      else {
-        const promise = listOk == null
-          ? mpc.commandList(commandList)
-          : mpc.commandList(commandList, listOk)
-
-        promise.then(res => {
-          if (res && res.full != null) {
-            printOut(res.full)
-          }
-          commandList = null
-          prompt()
-        }).catch(err => {
-          printErr(err.full || err)
-          commandList = null
-          prompt()
-        })
+        throw new ConsoleError('Not collecting commands. Start collecting with /startlist.')
       }
+
+      const list = commandList
+      commandList = null
+
+      const promise = listOk == null
+        ? mpc.commandList(list)
+        : mpc.commandList(list, listOk)
+
+      return promise.then(res => {
+        if (Array.isArray(res) || (res && res.full != null)) {
+          printResponse(res)
+        }
+      })
     },
   },
 }
 
-rl.on('close', () => mpc.disconnect())
-rl.on('line', (command) => {
-  if (command === '') {
-    prompt()
-  }
-  else if (command.startsWith('/')) {
-    const args = command.split(' ')
-    command = args.shift().substring(1)
-    const commandObj = commands[command]
-
-    if (commandObj != null) {
-      if (commandObj.args != null) {
-        for (let i = 0, len = Math.min(commandObj.args.length, args.length); i < len; i += 1) {
-          const argType = commandObj.args[i]
-          let arg = args[i]
-
-          switch (argType) {
-            case Boolean:
-              if (arg === '0') {
-                args[i] = false
-              }
-              else if (arg === '1') {
-                args[i] = true
-              }
-              else {
-                printErr('Invalid argument "%s" supplied for "/%s"', arg, command)
-                prompt()
-                return
-              }
-              break;
-            case Number:
-              args[i] = parseFloat(arg)
-              break;
-          }
+mpc.on('error', (err) => printErr('connection error:', err))
+
+if (scripted) {
+  readScript().then(runScript).then(ok => {
+    disconnect()
+    process.exitCode = ok ? 0 : 1
+  })
+}
+else {
+  startPrompt()
+}
+
+
+/**
+ * Runs a line from the prompt or a script: a console command like
+ * "/startlist", or an MPD command, which is added to the command list if
+ * one is being collected.
+ *
+ * @param {String} line
+ * @return {Promise} Rejects if the command failed.
+ */
+function execute(line) {
+  if (line === '') {
+    return Promise.resolve()
+  }
+
+  writeTranscript('>', line)
+
+  if (!line.startsWith('/')) {
+    if (commandList != null) {
+      commandList.push(line)
+      return Promise.resolve()
+    }
+
+    return mpc.command(line).then(res => {
+      if (res && res.full != null) {
+        printResponse(res)
+      }
+    })
+  }
+
+  const args = line.split(' ')
+  const command = args.shift().substring(1)
+  const commandObj = commands[command]
+
+  if (commandObj == null) {
+    return Promise.reject(new ConsoleError('Unknown command: "/%s"', command))
+  }
+
+  return new Promise(resolve => {
+    if (commandObj.args != null) {
+      for (let i = 0, len = Math.min(commandObj.args.length, args.length); i < len; i += 1) {
+        const argType = commandObj.args[i]
+        let arg = args[i]
+
+        switch (argType) {
+          case Boolean:
+            if (arg === '0') {
+              args[i] = false
+            }
+            else if (arg === '1') {
+              args[i] = true
+            }
+            else {
+              throw new ConsoleError('Invalid argument "%s" supplied for "/%s"', arg, command)
+            }
+            break;
+          case Number:
+            args[i] = parseFloat(arg)
+            break;
         }
       }
-      commandObj.action.apply(commandObj, args)
-    }
-    else {
-      printOut('Unknown command: "/%s"', command)
-      prompt()
     }
+
+    resolve(commandObj.action.apply(commandObj, args))
+  })
+}
+
+function reportError(err) {
+  if (err.response != null) {
+    writeTranscript('<', (err.results || []).map(r => r.full).join('') + err.response.full)
   }
   else {
-    if (commandList != null) {
-      commandList.push(command)
-      prompt()
+    writeTranscript('!', err.message)
+  }
+
+  if (format === 'json' || format === 'ndjson') {
+    console.error(toJSON(errorObject(err)))
+    return
+  }
+
+  if (err instanceof ConsoleError) {
+    printErr(err.message)
+    return
+  }
+
+  // The responses to the commands in a list before the one that failed.
+  const results = err.results && err.results.length ? err.results.map(r => r.full).join('') : ''
+
+  if (format === 'raw') {
+    process.stdout.write(results)
+    process.stderr.write(err.response ? err.response.full : String(err) + '\n')
+    return
+  }
+
+  if (results) {
+    printOut(results)
+  }
+  printErr(err.response ? err.response.full : err)
+}
+
+/**
+ * Prints a response, or the array of responses to a command list with
+ * list_OK, in the current format.
+ *
+ * @param {Object|Array} res
+ */
+function printResponse(res) {
+  writeTranscript('<', responseText(res))
+
+  switch (format) {
+    case 'json':
+      console.log(toJSON(Array.isArray(res) ? res.map(responseObject) : responseObject(res)))
+      break
+    case 'ndjson':
+      for (const response of [].concat(res)) {
+        console.log(toJSON(responseObject(response)))
+      }
+      break
+    case 'raw':
+      process.stdout.write(responseText(res))
+      break
+    default:
+      printOut(responseText(res))
+  }
+}
+
+/**
+ * Prints a response that was not asked for, like the changes reported by
+ * idle. In the JSON formats, these are always a single line.
+ *
+ * @param {Object} res
+ */
+function printNotification(res) {
+  writeTranscript('*', res.full)
+
+  if (format === 'json' || format === 'ndjson') {
+    console.log(JSON.stringify(responseObject(res)))
+  }
+  else if (format === 'raw') {
+    process.stdout.write(res.full)
+  }
+  else {
+    printOut(res.full)
+  }
+}
+
+function responseText(res) {
+  // With command_list_ok_begin there is a response per command.
+  return Array.isArray(res)
+    ? res.map(r => r.full).join('') + 'OK\n'
+    : res.full
+}
+
+function responseObject(response) {
+  const obj = {
+    status: response.status,
+    data: response.data,
+    records: response.records,
+  }
+
+  if (response.binary != null) {
+    obj.binary = response.binary.toString('base64')
+  }
+
+  return obj
+}
+
+function errorObject(err) {
+  if (!(err instanceof MPClient.MPDError)) {
+    return {error: {message: err.message}}
+  }
+
+  const obj = {
+    status: err.response.status,
+    error: {
+      code: err.code,
+      commandListIndex: err.commandListIndex,
+      command: err.command,
+      message: err.message,
+    },
+  }
+
+  if (err.results != null) {
+    obj.results = err.results.map(responseObject)
+  }
+
+  return obj
+}
+
+function toJSON(obj) {
+  return format === 'json' ? JSON.stringify(obj, null, 2) : JSON.stringify(obj)
+}
+
+function connect() {
+  // Connecting again closes the old connection first.
+  mpc.removeListener('end', disconnectHandler)
+
+  return mpc.connect().then(res => {
+    mpc.once('end', disconnectHandler)
+
+    if (rl != null) {
+      loadCompletions().catch(err => printErr('Could not load the completions:', err.message))
     }
-    else {
-      mpc.command(command).then(res => {
-        if (res && res.full != null) {
-          printOut(res.full)
-        }
-        prompt()
-      }).catch(err => {
-        printErr(err.full || err)
+    if (statusLine != null) {
+      statusLine.playerState.refresh().catch(noop)
+    }
+
+    return res
+  })
+}
+
+function disconnect() {
+  mpc.removeListener('end', disconnectHandler)
+  mpc.disconnect()
+}
+
+function startPrompt() {
+  const history = loadHistory()
+
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    completer: completer,
+    history: history,
+    historySize: historySize,
+  })
+
+  // Node versions before 14.18 ignore the history option, and do not emit
+  // "history", so the history is filled and saved by hand there.
+  if (rl.history !== history) {
+    rl.history.push.apply(rl.history, history)
+    rl.on('line', () => saveHistory(rl.history))
+  }
+  else {
+    rl.on('history', saveHistory)
+  }
+
+  rl.on('close', () => {
+    stopRecording()
+    hideStatusLine()
+    disconnect()
+  })
+  mpc.on('changed:database', () => lsinfoCache.clear())
+  rl.on('line', (line) => {
+    execute(line).catch(reportError).then(() => {
+      if (!exiting) {
         prompt()
-      })
+      }
+    })
+  })
+
+  mpc.on('data', (data) => {
+    process.stdout.clearLine()
+    process.stdout.cursorTo(0)
+    printNotification(data)
+    prompt(true)
+  })
+
+  console.log(
+    '@rdcl/mpc prompt (%s)\nType "/help" for help.\n',
+    pjson.version
+  )
+
+  if (argv['status-line']) {
+    try {
+      showStatusLine()
+    }
+    catch (err) {
+      printErr(err.message)
     }
   }
-})
+  prompt()
+}
 
-mpc.on('error', (err) => printErr('connection error:', err))
-mpc.on('data', (data) => {
-  process.stdout.clearLine()
-  process.stdout.cursorTo(0)
-  printOut(data.full || data)
-  prompt(true)
-})
+/**
+ * @return {Promise} Resolves with the lines of the script, either the -c
+ *                   options or stdin.
+ */
+function readScript() {
+  if (scriptCommands.length > 0) {
+    return Promise.resolve(scriptCommands)
+  }
+
+  return new Promise(resolve => {
+    const lines = []
+    const input = readline.createInterface({input: process.stdin})
+
+    input.on('line', line => lines.push(line))
+    input.on('close', () => resolve(lines))
+  })
+}
+
+/**
+ * Connects and runs the lines of a script.
+ *
+ * @param {Array} lines
+ * @return {Promise} Resolves with true if all commands succeeded.
+ */
+function runScript(lines) {
+  return connect().then(() => runLines(lines), err => {
+    reportError(err)
+    return false
+  }).then(ok => {
+    stopRecording()
+    return ok
+  })
+}
+
+/**
+ * Runs lines in order. Empty lines and lines starting with "#" are skipped.
+ * Unless --continue is given, it stops at the first command that fails.
+ *
+ * @param {Array} lines
+ * @return {Promise} Resolves with true if all commands succeeded.
+ */
+function runLines(lines) {
+  let ok = true
+  let i = 0
 
-console.log(
-  '@rdcl/mpc prompt (%s)\nType "/help" for help.\n',
-  pjson.version
-)
-prompt()
+  function next() {
+    if (exiting || (!ok && !argv.continue)) {
+      return ok
+    }
+
+    if (i === lines.length) {
+      if (commandList != null) {
+        commandList = null
+        reportError(new ConsoleError('The script ended without /endlist.'))
+        return false
+      }
+
+      return ok
+    }
+
+    const line = lines[i++].replace(/\r$/, '')
+
+    if (line.startsWith('#')) {
+      return next()
+    }
+
+    return execute(line).catch(err => {
+      reportError(err)
+      ok = false
+    }).then(next)
+  }
+
+  return Promise.resolve().then(next)
+}
+
+/**
+ * @return {Array} The saved history, most recent first, as readline wants it.
+ */
+function loadHistory() {
+  if (historySize === 0) {
+    return []
+  }
+
+  try {
+    return fs.readFileSync(HISTORY_FILE, 'utf8')
+      .split('\n')
+      .filter(line => line !== '')
+      .reverse()
+      .slice(0, historySize)
+  }
+  catch (err) {
+    // There is no history yet.
+    return []
+  }
+}
+
+/**
+ * @param {Array} history Most recent first.
+ */
+function saveHistory(history) {
+  if (historySize === 0) {
+    return
+  }
+
+  const lines = history.filter(line => !PASSWORD_PATTERN.test(line)).reverse()
+
+  try {
+    fs.writeFileSync(HISTORY_FILE, lines.join('\n') + '\n', {mode: 0o600})
+  }
+  catch (err) {
+    printErr('Could not save the history:', err.message)
+  }
+}
+
+/**
+ * Adds lines to the transcript, if one is being written, each prefixed
+ * with a timestamp and a marker: ">" for commands, "<" for responses, "*"
+ * for notifications, "!" for other errors and "#" for comments.
+ *
+ * @param {String} marker
+ * @param {String} text
+ */
+function writeTranscript(marker, text) {
+  if (transcript == null) {
+    return
+  }
+
+  const timestamp = new Date().toISOString()
+
+  if (marker === '>' && PASSWORD_PATTERN.test(text)) {
+    text = 'password "********"'
+  }
+
+  const lines = text.replace(/\n$/, '').split('\n')
+    .map(line => timestamp + ' ' + marker + ' ' + line + '\n')
+
+  try {
+    fs.writeSync(transcript, lines.join(''))
+  }
+  catch (err) {
+    stopRecording()
+    printErr('Could not write the transcript:', err.message)
+  }
+}
+
+function stopRecording() {
+  if (transcript != null) {
+    const fd = transcript
+    transcript = null
+    fs.closeSync(fd)
+  }
+}
+
+/**
+ * @param {String} text A transcript written by /record.
+ * @return {Array} The commands in it, except for the ones to record and
+ *                 replay transcripts, and passwords, which were not saved.
+ */
+function readTranscript(text) {
+  const lines = []
+
+  for (const line of text.split('\n')) {
+    const match = /^\S+ > (.*)$/.exec(line)
+
+    if (match == null || /^\/(record|replay|exit)\b/.test(match[1]) || PASSWORD_PATTERN.test(match[1])) {
+      continue
+    }
+
+    lines.push(match[1])
+  }
+
+  return lines
+}
 
 
 function getTimestamp() {
@@ -269,7 +803,13 @@ function printOut(message) {
   }
   message = message.join('\n')
 
-  console.log(message)
+  // Keep stdout for the responses in the JSON formats, so it can be parsed.
+  if (format === 'json' || format === 'ndjson') {
+    console.error(message)
+  }
+  else {
+    console.log(message)
+  }
 }
 
 function printErr(message) {
@@ -290,33 +830,234 @@ function printErr(message) {
 }
 
 function prompt(preserveCursor) {
-  const promise = autoidle && mpc.isConnected()
-    ? mpc.idle()
-    : dummyPromise
+  rl.prompt(preserveCursor)
+  // Redrawing the prompt clears everything below it.
+  drawStatusLine()
+}
 
-  return promise
-    .then(() => {
-      rl.prompt.apply(rl, arguments)
-    })
-    .catch(err => {
-      printErr(err)
-      rl.prompt.apply(rl, arguments)
-    })
+/**
+ * Shows the status line in the last row of the terminal. The rows above it
+ * are made into a scroll region, so output scrolls without moving it.
+ */
+function showStatusLine() {
+  if (statusLine != null) {
+    return
+  }
+  if (rl == null || !process.stdout.isTTY) {
+    throw new ConsoleError('The status line is only available at the prompt, in a terminal.')
+  }
+
+  const playerState = new MPClient.PlayerState(mpc)
+
+  statusLine = {
+    playerState,
+    timer: null,
+    redraw: () => setImmediate(drawStatusLine),
+    resize: () => {
+      setScrollRegion()
+      drawStatusLine()
+    },
+  }
+
+  // Tick locally while playing, PlayerState interpolates the elapsed time.
+  playerState.on('update', () => {
+    if (playerState.state === 'play' && statusLine.timer == null) {
+      statusLine.timer = setInterval(drawStatusLine, 1000)
+      statusLine.timer.unref()
+    }
+    else if (playerState.state !== 'play' && statusLine.timer != null) {
+      clearInterval(statusLine.timer)
+      statusLine.timer = null
+    }
+
+    drawStatusLine()
+  })
+
+  process.stdin.on('keypress', statusLine.redraw)
+  process.stdout.on('resize', statusLine.resize)
+
+  // Make room for the status line if the cursor is in the last row.
+  process.stdout.write('\n\x1b[1A')
+  setScrollRegion()
+  drawStatusLine()
+
+  if (mpc.isConnected()) {
+    playerState.refresh().catch(noop)
+  }
+}
+
+function hideStatusLine() {
+  if (statusLine == null) {
+    return
+  }
+
+  statusLine.playerState.close()
+  clearInterval(statusLine.timer)
+  process.stdin.removeListener('keypress', statusLine.redraw)
+  process.stdout.removeListener('resize', statusLine.resize)
+  statusLine = null
+
+  // Reset the scroll region and clear the last row.
+  process.stdout.write('\x1b7\x1b[r\x1b8\x1b7\x1b[' + process.stdout.rows + ';1H\x1b[2K\x1b8')
+}
+
+function setScrollRegion() {
+  // Setting the region moves the cursor, so it is saved and restored.
+  process.stdout.write('\x1b7\x1b[1;' + (process.stdout.rows - 1) + 'r\x1b8')
+}
+
+function drawStatusLine() {
+  if (statusLine == null) {
+    return
+  }
+
+  const text = formatStatusLine(statusLine.playerState, process.stdout.columns)
+
+  process.stdout.write('\x1b7\x1b[' + process.stdout.rows + ';1H\x1b[2K' + text + '\x1b8')
+}
+
+/**
+ * E.g. "▶ Artist - Title  1:23 [=====-----] 4:56  vol 50%  repeat random
+ * single consume", with the options that are off dimmed, cut off to fit.
+ *
+ * @param {PlayerState} playerState
+ * @param {Number}      width
+ * @return {String}
+ */
+function formatStatusLine(playerState, width) {
+  const status = playerState.status
+
+  if (status == null) {
+    return chalk.dim(mpc.isConnected() ? 'Waiting for the status...' : 'Not connected.')
+  }
+
+  const icon = {play: '▶', pause: '‖', stop: '■'}[status.state] || '?'
+  const song = playerState.song
+  let title = 'stopped'
+
+  if (song != null) {
+    const artist = [].concat(song.artist || [])[0]
+    const name = [].concat(song.title || song.name || [])[0] || song.file
+
+    title = artist == null ? name : artist + ' - ' + name
+  }
+
+  const volume = typeof status.volume === 'number' && status.volume >= 0 ? status.volume + '%' : 'n/a'
+  const options = ['repeat', 'random', 'single', 'consume']
+  const optionsText = options.join(' ')
+  const coloredOptions = options
+    .map(option => status[option] ? chalk.bold(option) : chalk.dim(option))
+    .join(' ')
+  const right = '  vol ' + volume + '  '
+
+  let time = ''
+  const elapsed = playerState.elapsed
+  if (song != null && elapsed != null) {
+    const duration = typeof status.duration === 'number' ? status.duration : null
+    const barWidth = Math.max(10, Math.min(30, Math.floor(width / 5)))
+
+    time = '  ' + formatTime(elapsed)
+    if (duration != null && duration > 0) {
+      const filled = Math.round(Math.min(1, elapsed / duration) * barWidth)
+      time += ' [' + repeat('=', filled) + repeat('-', barWidth - filled) + '] ' + formatTime(duration)
+    }
+  }
+
+  // Shorten the title first, then leave out the progress and the options.
+  let room = width - 2 - time.length - right.length - optionsText.length
+  if (room < 10) {
+    time = ''
+    room = width - 2 - right.length - optionsText.length
+  }
+  if (room < 10) {
+    return truncate(icon + ' ' + title, width)
+  }
+
+  return icon + ' ' + truncate(title, room) + time + right + coloredOptions
 }
 
-function completer(line) {
-  const possibilities = []
-  const keys = Object.keys(commands)
-  keys.sort()
+function formatTime(seconds) {
+  seconds = Math.floor(seconds)
 
-  for (let possibility of keys) {
-    possibility = '/' + possibility
-    if (possibility.startsWith(line)) {
-      possibilities.push(possibility)
+  const h = Math.floor(seconds / 3600)
+  const m = Math.floor(seconds / 60) % 60
+  const s = seconds % 60
+  const pad = n => (n < 10 ? '0' : '') + n
+
+  return (h > 0 ? h + ':' + pad(m) : String(m)) + ':' + pad(s)
+}
+
+function repeat(str, n) {
+  return Array(Math.max(0, n) + 1).join(str)
+}
+
+function truncate(str, width) {
+  return str.length <= width ? str : str.substring(0, Math.max(0, width - 1)) + '…'
+}
+
+/**
+ * Completes console commands, MPD commands, and their arguments: tags for
+ * commands like find, stored playlists, and song and directory URIs, which
+ * are looked up with lsinfo.
+ *
+ * @param {String}   line
+ * @param {Function} callback
+ */
+function completer(line, callback) {
+  const done = (candidates, partial) => callback(null, [candidates, partial])
+
+  if (line.startsWith('/')) {
+    const parsed = completion.splitLine(line)
+
+    if (parsed.args.length === 0) {
+      return done(completion.matching(Object.keys(commands).map(c => '/' + c), line), line)
     }
+    if (parsed.args.length === 1 && parsed.args[0] === '/format') {
+      return done(completion.matching(FORMATS, parsed.raw), parsed.raw)
+    }
+
+    return done([], parsed.raw)
+  }
+
+  const parsed = completion.splitLine(line)
+
+  if (parsed.args.length === 0) {
+    return done(completion.matching(mpdCommands, parsed.raw), parsed.raw)
+  }
+
+  const type = completion.argumentType(parsed.args)
+
+  let lookup
+  if (type === 'tag') {
+    lookup = Promise.resolve(tagTypes.map(tag => ({value: tag})))
+  }
+  else if (type === 'playlist') {
+    lookup = mpc.listplaylists().then(playlists => playlists.map(p => ({value: p.playlist})))
   }
+  else if (type === 'uri') {
+    lookup = lsinfoCache.entries(parsed.value)
+  }
+  else {
+    return done([], parsed.raw)
+  }
+
+  lookup
+    .then(entries => done(completion.candidates(entries, parsed), parsed.raw))
+    .catch(() => done([], parsed.raw))
+}
+
+/**
+ * Fetches the commands and tags the server knows about, for completion.
+ *
+ * @return {Promise}
+ */
+function loadCompletions() {
+  lsinfoCache.clear()
 
-  return [possibilities, line]
+  return Promise.all([mpc.commands(), mpc.tagtypes()]).then(results => {
+    mpdCommands = [].concat(results[0].command || [])
+    tagTypes = [].concat(results[1].tagtype || [])
+  })
 }
 
 function disconnectHandler() {
@@ -5,31 +5,135 @@ const net = require('net')
 
 const noop = require('@rdcl/noop')
 
+const commandMethods = require('./lib/commands')
+const errors = require('./lib/errors')
+const parser = require('./lib/parser')
+const PlayerState = require('./lib/player-state')
+const QueueMirror = require('./lib/queue-mirror')
+const query = require('./lib/query')
+const schema = require('./lib/schema')
+const version = require('./lib/version')
+
+const AbortError = errors.AbortError
+const MPDError = errors.MPDError
+const Parser = parser.Parser
+const ResponseBuilder = parser.ResponseBuilder
+const recordKeys = parser.recordKeys
+const TimeoutError = errors.TimeoutError
+const UnsupportedError = errors.UnsupportedError
+const Version = version.Version
+
 // Keys for private properties.
+const $channels = Symbol('channels')
+const $connect = Symbol('connect')
+const $disconnected = Symbol('disconnected')
+const $idleClient = Symbol('idleClient')
 const $isIdle = Symbol('isIdle')
+const $listOk = Symbol('listOk')
 const $netOpts = Symbol('netOpts')
+const $options = Symbol('options')
+const $poisoned = Symbol('poisoned')
 const $queue = Symbol('queue')
+const $reconnectTimer = Symbol('reconnectTimer')
+const $stream = Symbol('stream')
+const $subsystems = Symbol('subsystems')
+const $watching = Symbol('watching')
+
+// Command names are passed as is, so only allow what MPD uses.
+const COMMAND_NAME_PATTERN = /^[a-z_]+$/
 
-// A pre-rejected promise for when there is no connection available.
-const noConnectionAvailable = new Promise((resolve, reject) => {
-  reject(new Error('No active connection to write to.'))
+// Default options for automatic reconnection.
+const RECONNECT_DEFAULTS = {
+  retries: Infinity,
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.2,
+  pending: 'reject',
+}
+
+// Used to get a fresh connection after a timeout if reconnecting is disabled.
+const RECONNECT_ONCE = Object.assign({}, RECONNECT_DEFAULTS, {
+  retries: 1,
+  initialDelay: 0,
+  jitter: 0,
 })
 
 
 class MPClient extends EventEmitter {
 
   /**
-   * @param {Object} netOpts Options that are passed to net.connect
+   * Reconnection is disabled by default. Set `options.reconnect` to true to
+   * enable it with the defaults, or to an object with any of:
+   *
+   *  - retries:      Attempts before giving up (default: Infinity).
+   *  - initialDelay: Delay before the first attempt in ms (default: 1000).
+   *  - maxDelay:     Upper limit for the delay in ms (default: 30000).
+   *  - factor:       Multiplier for the delay after each attempt (default: 2).
+   *  - jitter:       Random fraction the delay may vary by (default: 0.2).
+   *  - pending:      What to do with commands that were waiting for a
+   *                  response: "reject" or "replay" (default: "reject").
+   *
+   * If `options.password` is given, it is sent right after connecting, and
+   * again after every reconnect.
+   *
+   * If `options.autoIdle` is true or a list of subsystems, the client keeps
+   * itself in idle mode, like after calling `watch()`.
+   *
+   * `options.timeout` is the default time in ms to wait for the response to
+   * a command. See `command()` for what happens if it expires.
+   *
+   * If `options.typed` is true, the high-level methods like `status()`
+   * convert known fields to numbers, booleans and dates, and normalize keys
+   * to camel case. See lib/schema.js. This can be changed later through
+   * `mpc.typed`.
+   *
+   * If `options.dualConnection` is true, a second connection is opened that
+   * stays in idle mode. Change events come from that connection, so
+   * commands never have to interrupt idle.
+   *
+   * @param {Object} netOpts   Options that are passed to net.connect
+   * @param {Object} [options]
+   * @param {Boolean|Array} [options.autoIdle=false]
+   * @param {Boolean} [options.dualConnection=false]
+   * @param {String} [options.password]
+   * @param {Boolean|Object} [options.reconnect=false]
+   * @param {Number} [options.timeout=0] No timeout if 0.
+   * @param {Boolean} [options.typed=false]
    *
    * @see https://nodejs.org/api/net.html#net_net_connect_options_connectlistener
    */
-  constructor(netOpts) {
+  constructor(netOpts, options) {
     super()
 
+    options = options || {}
+
+    this.serverVersion = null
     this.socket = null
+    this.typed = !!options.typed
+    this[$channels] = new Set()
+    this[$disconnected] = false
+    this[$idleClient] = null
     this[$isIdle] = false
     this[$netOpts] = netOpts
+    this[$poisoned] = false
+    this[$options] = {
+      password: options.password,
+      timeout: options.timeout || 0,
+      reconnect: options.reconnect
+        ? Object.assign({}, RECONNECT_DEFAULTS, options.reconnect === true ? {} : options.reconnect)
+        : null,
+    }
     this[$queue] = []
+    this[$reconnectTimer] = null
+    this[$subsystems] = Array.isArray(options.autoIdle) ? options.autoIdle : []
+    this[$watching] = !!options.autoIdle
+
+    if (options.dualConnection) {
+      // This connection never goes into idle, the idle client always does.
+      this[$watching] = false
+      this[$idleClient] = _createIdleClient(this, netOpts, options)
+    }
   }
 
   /**
@@ -41,110 +145,267 @@ class MPClient extends EventEmitter {
     return this.socket != null && this.socket.readyState !== 'closed'
   }
 
+  /**
+   * Checks if the server supports a feature, based on the protocol version
+   * in its greeting. If the version is unknown, features are assumed to be
+   * supported.
+   *
+   * @param {String} feature One of the keys in lib/version.js, e.g. "albumart".
+   * @return {Boolean}
+   * @throws {Error} If the feature is unknown.
+   */
+  supports(feature) {
+    const required = version.features[feature]
+
+    if (required == null) {
+      throw new Error('Unknown feature: "' + feature + '"')
+    }
+
+    return this.serverVersion == null || this.serverVersion.isAtLeast(required)
+  }
+
   /**
    * Connects to the MPD server.
    *
-   * If already connected, the existing connection is ended first.
+   * If already connected, the existing connection is ended first. If a
+   * password was given, the promise is resolved after authenticating, or
+   * rejected with an MPDError if the password is wrong.
    *
-   * @return {Promise}
+   * @return {Promise} Resolves with the greeting from MPD.
    */
   connect() {
+    const idleClient = this[$idleClient]
+
+    if (idleClient == null) {
+      return this[$connect]()
+    }
+
+    return Promise.all([this[$connect](), idleClient.connect()])
+      .then(results => results[0], (err) => {
+        this.disconnect()
+        throw err
+      })
+  }
+
+  /**
+   * Opens the connection for commands.
+   *
+   * @return {Promise}
+   */
+  [$connect]() {
     return new Promise((resolve, reject) => {
       // clean up the old client
       if (this.isConnected()) {
         this.disconnect()
       }
 
+      clearTimeout(this[$reconnectTimer])
+      this[$reconnectTimer] = null
+      this[$disconnected] = false
       this[$isIdle] = false
 
-      this.socket = net.connect(this[$netOpts], () => this.on('ready', resolve))
-      this.socket.setEncoding('utf8')
+      let ready = false
+      const socket = net.connect(this[$netOpts])
+      this.socket = socket
 
-      this.socket.on('end', () => this.emit('end'))
-      this.socket.on('error', (err) => this.emit('error', err))
+      socket.on('end', () => this.emit('end'))
+      socket.on('error', (err) => {
+        if (ready) {
+          this.emit('error', err)
+        }
+        else {
+          reject(err)
+        }
+      })
+      socket.on('close', () => {
+        if (!ready) {
+          reject(new Error('Connection closed before MPD was ready.'))
+        }
+
+        // Ignore connections that were replaced or ended on purpose.
+        if (this.socket !== socket) return
 
-      let buffer = ''
-      this.socket.on('data', (data) => {
+        const wasIdle = this[$isIdle]
+        const poisoned = this[$poisoned]
+        const pending = this[$queue].splice(0)
+
+        this.socket = null
         this[$isIdle] = false
-        data = buffer + data
-        buffer = ''
-
-        let prev = 0
-        let nl = 1 + data.indexOf('\n', prev)
-        while (nl !== 0) {
-          const line = data.substring(prev, nl)
-          prev = nl
-          nl = 1 + data.indexOf('\n', prev)
-
-          const isOK = line.startsWith('OK')
-          const isACK = line.startsWith('ACK')
-
-          if (isOK || isACK) {
-            if (isOK && line.startsWith('OK MPD')) {
-              setImmediate(() => this.emit('ready', buffer + line))
-              buffer = ''
+        this[$poisoned] = false
+
+        if (ready && (this[$options].reconnect || poisoned)) {
+          _reconnect(this, pending, wasIdle, 0, this[$options].reconnect || RECONNECT_ONCE)
+        }
+        else {
+          _rejectPending(pending)
+        }
+      })
+
+      // The socket is read as raw bytes, because responses to commands like
+      // albumart contain a binary payload of a given length, which may
+      // contain newlines and is not valid UTF-8.
+      const reader = new Parser()
+      let response = new ResponseBuilder()
+
+      const read = () => {
+        if (this.socket !== socket) return
+
+        let token
+        // A stream that has enough buffered records pauses the socket.
+        // Whatever is left is read when it is resumed.
+        while (!socket.isPaused() && (token = reader.read()) != null) {
+          const entry = this[$queue].length ? this[$queue][0] : null
+
+          if (token.type !== 'end') {
+            if (entry != null && entry.stream != null) {
+              // Streamed responses are handed over as they arrive.
+              entry.stream.add(token)
+              continue
             }
-            else {
-              const response = _parseResponse(buffer, line)
-              buffer = ''
 
-              if (this[$queue].length) {
-                // TODO (es6): const [resolve, reject] = this[$queue].shift()
-                const cbs = this[$queue].shift()
-                const resolve = cbs[0]
-                const reject = cbs[1]
+            if (response.length === 0 && entry != null && entry.command != null) {
+              response.recordKeys = recordKeys(entry.command, entry.listOk ? entry.results.length : null)
+            }
+            response.add(token)
+            continue
+          }
 
-                if (isOK) {
-                  resolve(response)
-                }
-                else {
-                  reject(response)
+          const line = token.status
+
+          if (line === 'list_OK') {
+            if (entry != null && entry.listOk) {
+              entry.results.push(response.finish(line))
+            }
+            response = new ResponseBuilder()
+          }
+          else if (line.startsWith('OK MPD')) {
+            const greeting = response.finish(line).full
+            response = new ResponseBuilder()
+
+            this.serverVersion = Version.parse(line)
+
+            _authenticate(this).then(() => {
+              ready = true
+              setImmediate(() => this.emit('ready', greeting))
+              resolve(greeting)
+              _scheduleIdle(this)
+            }, (err) => {
+              this.disconnect()
+              reject(err)
+            })
+          }
+          else {
+            const result = entry != null && entry.stream != null
+              ? entry.stream.finish(line)
+              : response.finish(line)
+            response = new ResponseBuilder()
+
+            if (entry != null) {
+              this[$queue].shift()
+
+              if (entry.idle) {
+                this[$isIdle] = false
+              }
+
+              if (line.startsWith('OK')) {
+                if (entry.listOk) {
+                  result.results = entry.results
                 }
+                entry.resolve(result)
               }
               else {
-                setImmediate(() => this.emit('data', response))
+                const err = new MPDError(result)
+                if (entry.listOk) {
+                  err.results = entry.results
+                }
+                entry.reject(err)
               }
+            }
+            else {
+              setImmediate(() => this.emit('data', result))
+            }
 
-              if (response.data.changed != null) {
-                const changed = Array.isArray(response.data.changed)
-                  ? response.data.changed
-                  : [response.data.changed]
+            if (result.data.changed != null) {
+              const changed = Array.isArray(result.data.changed)
+                ? result.data.changed
+                : [result.data.changed]
 
-                setImmediate(() => this.emit('changed', changed))
-                for (const event of changed) {
-                  setImmediate(() => this.emit('changed:' + event))
-                }
+              setImmediate(() => this.emit('changed', changed))
+              for (const event of changed) {
+                setImmediate(() => this.emit('changed:' + event))
+              }
+
+              if (changed.indexOf('message') !== -1) {
+                _readMessages(this)
               }
             }
           }
-          else {
-            buffer += line
-          }
         }
 
-        buffer += data.substring(prev)
+        if (ready) {
+          _scheduleIdle(this)
+        }
+      }
+
+      socket.on('data', (data) => {
+        reader.push(data)
+        read()
       })
+      socket.on('resume', read)
     })
   }
 
   /**
    * Ends the current connection.
+   *
+   * Commands that are still waiting for a response are rejected, and no
+   * attempt is made to reconnect.
    */
   disconnect() {
+    if (this[$idleClient] != null) {
+      this[$idleClient].disconnect()
+    }
+
+    clearTimeout(this[$reconnectTimer])
+    this[$reconnectTimer] = null
+    this[$disconnected] = true
+
     if (this.isConnected()) {
       this.socket.end()
       this.socket = null
     }
+
+    _rejectPending(this[$queue].splice(0))
   }
 
   /**
    * Sends the 'idle' command to MPD.
    *
-   * @return {Promise}
+   * The response to idle is emitted as a 'data' event, and the changed
+   * subsystems as 'changed' and 'changed:<subsystem>' events.
+   *
+   * @param {Array} [subsystems] Only wait for changes in these subsystems.
+   * @return {Promise} Resolves when the command has been sent.
    */
-  idle() {
+  idle(subsystems) {
+    if (this[$idleClient] != null) {
+      return this[$idleClient].idle(subsystems)
+    }
+
     if (!this.isConnected()) {
-      return noConnectionAvailable
+      return _noConnectionAvailable()
+    }
+
+    if (subsystems == null && this[$watching]) {
+      subsystems = this[$subsystems]
+    }
+
+    let command
+    try {
+      command = _formatCommand('idle', subsystems || [])
+    }
+    catch (err) {
+      return Promise.reject(err)
     }
 
     return new Promise((resolve, reject) => {
@@ -153,110 +414,749 @@ class MPClient extends EventEmitter {
         resolve()
       }
       else {
-        this.socket.write('idle\n', 'utf8', () => {
-          this[$isIdle] = true
-          resolve()
+        this[$isIdle] = true
+        this[$queue].push({
+          resolve: (response) => setImmediate(() => this.emit('data', response)),
+          reject: noop,
+          command: null,
+          idle: true,
         })
+        this.socket.write(command + '\n', 'utf8', () => resolve())
       }
     })
   }
 
+  /**
+   * Keeps the client in idle mode, so change events keep coming in. The
+   * client goes back into idle after each notification and after each
+   * command.
+   *
+   * @param {Array} [subsystems] Only watch these subsystems. Defaults to all.
+   * @return {Promise}
+   */
+  watch(subsystems) {
+    if (this[$idleClient] != null) {
+      return this[$idleClient].watch(subsystems)
+    }
+
+    const previous = this[$subsystems]
+
+    this[$watching] = true
+    this[$subsystems] = subsystems || []
+
+    if (!this.isConnected()) {
+      return Promise.resolve()
+    }
+
+    if (this[$isIdle]) {
+      if (previous.join(' ') === this[$subsystems].join(' ')) {
+        return Promise.resolve()
+      }
+
+      // Leave idle, so it can be entered again with the new subsystems.
+      return this.command('noidle').then(noop)
+    }
+
+    return this.idle()
+  }
+
+  /**
+   * Stops keeping the client in idle mode.
+   *
+   * @return {Promise}
+   */
+  unwatch() {
+    if (this[$idleClient] != null) {
+      return this[$idleClient].unwatch()
+    }
+
+    this[$watching] = false
+
+    if (this.isConnected() && this[$isIdle]) {
+      return this.command('noidle').then(noop)
+    }
+
+    return Promise.resolve()
+  }
+
+  /**
+   * Returns an async iterator over the names of changed subsystems. Starts
+   * watching if the client is not watching yet. Breaking out of the loop
+   * stops the iterator.
+   *
+   *     for await (const change of mpc.changes()) {
+   *       console.log(change) // e.g. "player"
+   *     }
+   *
+   * @return {AsyncIterator}
+   */
+  changes() {
+    const buffered = []
+    const waiting = []
+
+    const listener = (changed) => {
+      for (const subsystem of changed) {
+        if (waiting.length) {
+          waiting.shift()({value: subsystem, done: false})
+        }
+        else {
+          buffered.push(subsystem)
+        }
+      }
+    }
+
+    this.on('changed', listener)
+
+    if (!this[$watching]) {
+      this.watch().catch(noop)
+    }
+
+    const iterator = {
+      next: () => {
+        if (buffered.length) {
+          return Promise.resolve({value: buffered.shift(), done: false})
+        }
+
+        return new Promise(resolve => waiting.push(resolve))
+      },
+      return: () => {
+        this.removeListener('changed', listener)
+
+        for (const resolve of waiting.splice(0)) {
+          resolve({value: undefined, done: true})
+        }
+
+        return Promise.resolve({value: undefined, done: true})
+      },
+    }
+    iterator[Symbol.asyncIterator] = () => iterator
+
+    return iterator
+  }
+
+  /**
+   * Sends a command and returns an async iterator over the records in its
+   * response, like `records` in the response of `command()`. Records are
+   * yielded as the lines arrive, so the whole response never has to be in
+   * memory. If more than `highWaterMark` records are waiting to be consumed,
+   * reading from the socket is paused until the consumer catches up.
+   *
+   * The command takes its turn in the queue like any other, and responses to
+   * later commands only arrive after the stream has ended. Breaking out of
+   * the loop early discards the rest of the response. The timeout only
+   * applies while nothing arrives, not to the whole response, and not while
+   * reading is paused.
+   *
+   *     for await (const song of mpc.stream('listallinfo')) {
+   *       // ...
+   *     }
+   *
+   * @param {String}    command
+   * @param {...*}      [args]    Arguments, as with `command()`.
+   * @param {Object}    [options] The options of `command()`, and:
+   * @param {Number}    [options.highWaterMark=1000]
+   * @return {AsyncIterator}
+   */
+  stream(command) {
+    const args = Array.prototype.slice.call(arguments, 1)
+    const options = Object.assign({}, args.length && _isPlainObject(args[args.length - 1])
+      ? args.pop()
+      : {})
+    const highWaterMark = options.highWaterMark || 1000
+    const socket = this.socket
+
+    const buffered = []
+    const waiting = []
+    let paused = false
+    let done = false
+    let error = null
+
+    const push = (rec) => {
+      if (done) return
+
+      const value = this.typed ? schema.coerce(rec) : rec
+
+      if (waiting.length) {
+        waiting.shift().resolve({value, done: false})
+      }
+      else {
+        buffered.push(value)
+
+        if (!paused && buffered.length >= highWaterMark && socket != null) {
+          paused = true
+          socket.pause()
+        }
+      }
+    }
+
+    const resume = () => {
+      if (paused) {
+        paused = false
+        socket.resume()
+      }
+    }
+
+    const finish = (err) => {
+      done = true
+      error = err
+      resume()
+
+      for (const next of waiting.splice(0)) {
+        if (err != null) {
+          next.reject(err)
+          error = null
+        }
+        else {
+          next.resolve({value: undefined, done: true})
+        }
+      }
+    }
+
+    const sink = new ResponseBuilder(rec => push(rec), recordKeys(command))
+
+    delete options.highWaterMark
+    options[$stream] = sink
+
+    this.command.apply(this, [command].concat(args, [options]))
+      .then(() => finish(null), finish)
+
+    const iterator = {
+      next: () => {
+        if (buffered.length) {
+          const value = buffered.shift()
+
+          if (buffered.length <= highWaterMark / 2) {
+            resume()
+          }
+
+          return Promise.resolve({value, done: false})
+        }
+
+        if (error != null) {
+          const err = error
+          error = null
+          return Promise.reject(err)
+        }
+
+        if (done) {
+          return Promise.resolve({value: undefined, done: true})
+        }
+
+        return new Promise((resolve, reject) => waiting.push({resolve, reject}))
+      },
+      return: () => {
+        if (!done) {
+          // The rest of the response still arrives, but is ignored.
+          finish(null)
+          error = null
+        }
+        buffered.splice(0)
+
+        return Promise.resolve({value: undefined, done: true})
+      },
+    }
+    iterator[Symbol.asyncIterator] = () => iterator
+
+    return iterator
+  }
+
+  /**
+   * Quotes and escapes an argument, so it can safely be used in a command.
+   *
+   * @param {*} arg
+   * @return {String}
+   * @throws {Error} If the argument contains a newline.
+   */
+  static escape(arg) {
+    arg = String(arg)
+
+    if (/[\r\n]/.test(arg)) {
+      throw new Error('Command arguments can not contain newlines.')
+    }
+
+    return '"' + arg.replace(/[\\"]/g, '\\$&') + '"'
+  }
+
   /**
    * Sends a command to MPD and waits for an answer.
    *
+   * If only a command is given, it is sent as is. If arguments are given, the
+   * arguments are quoted and escaped. Arguments that are null or undefined
+   * are left out.
+   *
+   *     mpc.command('play')
+   *     mpc.command('search', 'title', userInput)
+   *     mpc.command('status', {timeout: 1000, signal: controller.signal})
+   *
+   * An object as the last argument contains options for this command:
+   *
+   *  - timeout: Time in ms to wait for a response. Overrides the timeout
+   *             given to the constructor. If it expires, the command is
+   *             rejected with a TimeoutError, and since later responses can
+   *             no longer be matched to their commands, the connection is
+   *             closed and opened again.
+   *  - signal:  An AbortSignal. If aborted, the command is rejected with an
+   *             AbortError, and its response is discarded once it arrives.
+   *
    * @param {String} command
-   * @return {Promise}
+   * @param {*}      [...args]
+   * @param {Object} [options]
+   * @return {Promise} Rejects with an MPDError if MPD responds with ACK.
    *
    * @see http://www.musicpd.org/doc/protocol/command_reference.html
    */
   command(command) {
+    const args = Array.prototype.slice.call(arguments, 1)
+    const options = args.length && _isPlainObject(args[args.length - 1])
+      ? args.pop()
+      : {}
+
     if (!this.isConnected()) {
-      return noConnectionAvailable
+      return _noConnectionAvailable()
+    }
+
+    if (args.length) {
+      try {
+        command = _formatCommand(command, args)
+      }
+      catch (err) {
+        return Promise.reject(err)
+      }
     }
 
     if (!command.endsWith('\n')) {
       command += '\n'
     }
 
+    const signal = options.signal
+    const timeout = options.timeout != null
+      ? options.timeout
+      : this[$options].timeout
+
+    if (signal != null && signal.aborted) {
+      return Promise.reject(new AbortError(command))
+    }
+
     return new Promise((resolve, reject) => {
-      let addedNoIdle = false
-      if (this[$isIdle] && !command.startsWith('noidle\n')) {
-        addedNoIdle = true
-        command = 'noidle\n' + command
+      const original = command
+      let entry = null
+      let timer = null
+
+      if (this[$isIdle]) {
+        // The response to noidle is the response to the pending idle.
+        const idleEntry = this[$queue].find(entry => entry.idle)
+        this[$isIdle] = false
+
+        if (command === 'noidle\n') {
+          entry = idleEntry
+        }
+        else {
+          // Discard the response to idle, apart from the change events.
+          idleEntry.resolve = noop
+          command = 'noidle\n' + command
+        }
+      }
+
+      if (entry == null) {
+        // The command is kept, so it can be replayed after reconnecting.
+        entry = {command: original}
+        this[$queue].push(entry)
+      }
+
+      if (options[$listOk]) {
+        // Collects the response to each command in a command list.
+        entry.listOk = true
+        entry.results = []
+      }
+      if (options[$stream] != null) {
+        entry.stream = options[$stream]
       }
 
-      this.socket.write(command, 'utf8', () => {
-        if (addedNoIdle) {
-          // Discard output from the noidle command.
-          this[$queue].push([noop, noop])
+      const cleanUp = () => {
+        clearTimeout(timer)
+        if (signal != null) {
+          signal.removeEventListener('abort', onAbort)
         }
-        this[$queue].push([resolve, reject])
-      })
+      }
+
+      // Rejects the command, but leaves the entry in the queue, so the
+      // response is still matched to it when it arrives.
+      const cancel = (err) => {
+        cleanUp()
+        entry.resolve = noop
+        entry.reject = noop
+        entry.command = null
+        reject(err)
+      }
+
+      const onAbort = () => cancel(new AbortError(original))
+
+      entry.resolve = (response) => {
+        cleanUp()
+        resolve(response)
+      }
+      entry.reject = (err) => {
+        cleanUp()
+        reject(err)
+      }
+
+      if (timeout > 0) {
+        let received = 0
+
+        const expire = () => {
+          // A stream only times out if nothing arrives for that long. While
+          // it is paused because the consumer is behind, nothing can.
+          const stream = entry.stream
+          if (stream != null && (stream.length !== received || (this.socket != null && this.socket.isPaused()))) {
+            received = stream.length
+            timer = setTimeout(expire, timeout)
+            return
+          }
+
+          cancel(new TimeoutError(original, timeout))
+          _poison(this)
+        }
+
+        timer = setTimeout(expire, timeout)
+      }
+      if (signal != null) {
+        signal.addEventListener('abort', onAbort)
+      }
+
+      this.socket.write(command, 'utf8')
     })
   }
 
   /**
    * Sends a list of commands to MPD, using command_list_begin.
    *
+   * Each command is either a string, which is sent as is, or an array with
+   * the command and its arguments, which are quoted and escaped.
+   *
+   * With command_list_ok_begin, the promise resolves with an array with a
+   * response for each command. Otherwise it resolves with a single response
+   * for the whole list.
+   *
+   * On ACK, the MPDError has the failing command as `failedCommand`, and
+   * with command_list_ok_begin, the responses of the commands that did
+   * succeed as `results`.
+   *
    * @param {Array}   commands      The commands to execute.
    * @param {Boolean} [listOk=true] If true, command_list_ok_begin is used.
+   * @param {Object}  [options]     The same options as for `command()`.
    * @return {Promise}
    *
    * @see http://www.musicpd.org/doc/protocol/command_lists.html
    */
-  commandList(commands, listOk) {
+  commandList(commands, listOk, options) {
+    if (_isPlainObject(listOk)) {
+      options = listOk
+      listOk = null
+    }
     if (listOk == null) listOk = true
+    commands = Array.from(commands)
 
     let command = listOk ? 'command_list_ok_begin\n' : 'command_list_begin\n'
-    command += Array.from(commands).join('\n') + '\n'
+    try {
+      for (const item of commands) {
+        command += (Array.isArray(item) ? _formatCommand(item[0], item.slice(1)) : item) + '\n'
+      }
+    }
+    catch (err) {
+      return Promise.reject(err)
+    }
     command += 'command_list_end\n'
 
-    return this.command(command)
+    options = Object.assign({}, options)
+    options[$listOk] = listOk
+
+    return this.command(command, options).then(response => {
+      return listOk ? response.results : response
+    }, err => {
+      if (err instanceof MPDError && err.commandListIndex != null) {
+        err.failedCommand = commands[err.commandListIndex]
+      }
+
+      throw err
+    })
+  }
+
+  /**
+   * Subscribes to a client-to-client channel. Subscriptions are restored
+   * after reconnecting. With a dual connection, the idle connection is
+   * subscribed, because that is where the message events arrive.
+   *
+   * When MPD reports new messages while idle, they are read automatically
+   * and emitted as "message" events with `{channel, text}`. Use `watch()` or
+   * a dual connection to keep receiving them.
+   *
+   * @param {String} channel
+   * @return {Promise}
+   *
+   * @see http://www.musicpd.org/doc/protocol/client_to_client.html
+   */
+  subscribe(channel) {
+    if (this[$idleClient] != null) {
+      return this[$idleClient].subscribe(channel)
+    }
+
+    return this.command('subscribe', channel).then(() => {
+      this[$channels].add(channel)
+    })
+  }
+
+  /**
+   * Unsubscribes from a client-to-client channel.
+   *
+   * @param {String} channel
+   * @return {Promise}
+   */
+  unsubscribe(channel) {
+    if (this[$idleClient] != null) {
+      return this[$idleClient].unsubscribe(channel)
+    }
+
+    return this.command('unsubscribe', channel).then(() => {
+      this[$channels].delete(channel)
+    })
   }
 
 }
 
+// High-level command methods, e.g. `mpc.play()` or `mpc.status()`.
+Object.assign(MPClient.prototype, commandMethods)
+
 exports = module.exports = MPClient
+exports.AbortError = AbortError
+exports.MPDError = MPDError
+exports.PlayerState = PlayerState
+exports.QueueMirror = QueueMirror
+exports.TimeoutError = TimeoutError
+exports.UnsupportedError = UnsupportedError
+exports.Version = Version
+exports.coerce = schema.coerce
+exports.query = query
+Object.assign(exports, errors.codes)
+
+
+/**
+ * Creates the client for the idle connection of a dual connection client,
+ * and forwards its events.
+ *
+ * @param {MPClient} client
+ * @param {Object}   netOpts
+ * @param {Object}   options The options given to the client.
+ * @return {MPClient}
+ */
+function _createIdleClient(client, netOpts, options) {
+  const idleClient = new MPClient(netOpts, Object.assign({}, options, {
+    autoIdle: options.autoIdle || true,
+    dualConnection: false,
+  }))
+
+  idleClient.on('data', (response) => client.emit('data', response))
+  idleClient.on('error', (err) => client.emit('error', err))
+  idleClient.on('message', (message) => client.emit('message', message))
+  idleClient.on('changed', (changed) => {
+    client.emit('changed', changed)
+    for (const event of changed) {
+      client.emit('changed:' + event)
+    }
+  })
+
+  return idleClient
+}
+
+/**
+ * Helper function for when there is no connection available.
+ *
+ * @return {Promise} A rejected promise.
+ */
+function _noConnectionAvailable() {
+  return Promise.reject(new Error('No active connection to write to.'))
+}
+
+/**
+ * Checks if something is a plain object, like the options to `command()`.
+ *
+ * @param {*} obj
+ * @return {Boolean}
+ */
+function _isPlainObject(obj) {
+  return obj != null && Object.getPrototypeOf(obj) === Object.prototype
+}
+
+/**
+ * Builds a command line from a command and its arguments.
+ *
+ * @param {String} name
+ * @param {Array}  args
+ * @return {String}
+ * @throws {Error} If the command name or an argument is invalid.
+ */
+function _formatCommand(name, args) {
+  if (!COMMAND_NAME_PATTERN.test(name)) {
+    throw new Error('Invalid command name: "' + name + '"')
+  }
+
+  let command = name
+  for (const arg of args) {
+    if (arg == null) continue
+
+    command += ' ' + (typeof arg === 'number' ? String(arg) : MPClient.escape(arg))
+  }
+
+  return command
+}
+
+/**
+ * Sends the password, if the client has one.
+ *
+ * @param {MPClient} client
+ * @return {Promise}
+ */
+function _authenticate(client) {
+  const password = client[$options].password
+
+  if (password == null) {
+    return Promise.resolve()
+  }
+
+  return client.command('password', password)
+}
+
+/**
+ * Rejects commands that were still waiting for a response.
+ *
+ * @param {Array} pending Entries from the queue.
+ */
+function _rejectPending(pending) {
+  for (const entry of pending) {
+    entry.reject(new Error('Connection closed.'))
+  }
+}
+
+/**
+ * Closes a connection that can no longer be trusted, e.g. because a command
+ * timed out and its response may still arrive. The close handler takes care
+ * of reconnecting.
+ *
+ * @param {MPClient} client
+ */
+function _poison(client) {
+  if (client.socket == null) return
 
+  client[$poisoned] = true
+  client.socket.destroy()
+}
 
 /**
- * Helper function to parse MPD responses.
+ * Sends idle once the queue is empty, if the client is watching.
+ *
+ * This happens in a later tick, so commands that are sent in response to a
+ * previous result are not needlessly interrupted by idle.
  *
- * @param {String} contents The response content.
- * @param {String} status   The status line at the end of the response.
- * @return {Object}
+ * @param {MPClient} client
  */
-function _parseResponse(contents, status) {
-  let data = {}
+function _scheduleIdle(client) {
+  if (!client[$watching]) return
 
-  if (contents) {
-    for (const line of contents.split('\n')) {
-      if (!line) continue
+  setImmediate(() => {
+    if (client[$watching] && client.isConnected() && !client[$isIdle] && !client[$queue].length) {
+      client.idle().catch(noop)
+    }
+  })
+}
 
-      const i = line.indexOf(': ')
-      if (i === -1) {
-        data = {}
-        break
+/**
+ * Reads the messages on the subscribed channels after MPD reported a
+ * "message" change, and emits them as "message" events.
+ *
+ * @param {MPClient} client
+ */
+function _readMessages(client) {
+  client.readmessages().then(messages => {
+    for (const message of messages) {
+      client.emit('message', message)
+    }
+  }).catch(noop)
+}
+
+/**
+ * Tries to reconnect after the connection was lost, with an exponential
+ * backoff between attempts.
+ *
+ * @param {MPClient} client
+ * @param {Array}    pending The commands that were waiting for a response.
+ * @param {Boolean}  wasIdle Whether the client was idle.
+ * @param {Number}   attempt The number of failed attempts so far.
+ * @param {Object}   opts    The reconnect options.
+ */
+function _reconnect(client, pending, wasIdle, attempt, opts) {
+  if (opts.pending !== 'replay') {
+    _rejectPending(pending)
+    pending = []
+  }
+
+  if (attempt >= opts.retries) {
+    _rejectPending(pending)
+    client.emit('reconnect_failed', attempt)
+    return
+  }
+
+  let delay = Math.min(opts.maxDelay, opts.initialDelay * Math.pow(opts.factor, attempt))
+  delay += delay * opts.jitter * (2 * Math.random() - 1)
+  delay = Math.max(0, Math.round(delay))
+
+  client.emit('reconnecting', attempt + 1, delay)
+
+  client[$reconnectTimer] = setTimeout(() => {
+    client[$reconnectTimer] = null
+
+    client[$connect]().then(() => {
+      const subscriptions = []
+
+      for (const channel of client[$channels]) {
+        subscriptions.push(client.command('subscribe', channel).catch(noop))
       }
 
-      const key = line.substring(0, i)
-      const val = line.substring(i + 2)
+      // Replayed commands are not waited for, so a slow one does not delay
+      // the "reconnected" event.
+      for (const entry of pending) {
+        if (entry.command == null) continue
 
-      if (data[key] == null) {
-        data[key] = val
+        // Records that were already streamed can not be taken back.
+        if (entry.stream != null && entry.stream.length > 0) {
+          entry.reject(new Error('Connection closed.'))
+          continue
+        }
+
+        const options = {}
+        options[$listOk] = entry.listOk
+        options[$stream] = entry.stream
+        client.command(entry.command, options).then(entry.resolve, entry.reject)
+      }
+
+      return Promise.all(subscriptions).then(() => {
+        client.emit('reconnected')
+
+        if (wasIdle) {
+          return client.idle()
+        }
+      }).catch(noop)
+    }, (err) => {
+      // Trying again will not fix a wrong password.
+      if (err instanceof MPDError && err.code === errors.codes.ACK_ERROR_PASSWORD) {
+        _rejectPending(pending)
+        client.emit('reconnect_failed', attempt + 1, err)
       }
-      else if (Array.isArray(data[key])) {
-        data[key].push(val)
+      // Stop if connect() or disconnect() was called in the meantime.
+      else if (client[$disconnected] || client.isConnected()) {
+        _rejectPending(pending)
       }
       else {
-        data[key] = [data[key], val]
+        _reconnect(client, pending, wasIdle, attempt + 1, opts)
       }
-    }
-  }
-
-  return {
-    data: data,
-    status: status.replace('\n', ''),
-    full: contents + status,
-  }
+    })
+  }, delay)
 }
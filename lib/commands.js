@@ -0,0 +1,1406 @@
+'use strict'
+
+const noop = require('@rdcl/noop')
+
+const errors = require('./errors')
+const playlistFiles = require('./playlist-files')
+const query = require('./query')
+const schema = require('./schema')
+const version = require('./version')
+
+/**
+ * High-level wrappers around the MPD command reference. These are mixed into
+ * MPClient.prototype, so `this` is always the client. All of them go through
+ * `this.command()`, which takes care of the idle/noidle handling.
+ *
+ * If `client.typed` is true, the results are converted with schema.coerce.
+ *
+ * @see http://www.musicpd.org/doc/protocol/command_reference.html
+ */
+
+
+// Querying MPD's status
+
+/**
+ * Clears the current error message in status.
+ *
+ * @return {Promise}
+ */
+exports.clearerror = function clearerror() {
+  return send(this, 'clearerror').then(noop)
+}
+
+/**
+ * Gets the song info of the current song.
+ *
+ * @return {Promise}
+ */
+exports.currentsong = function currentsong() {
+  return send(this, 'currentsong').then(data(this))
+}
+
+/**
+ * Gets the current status of the player and the volume level.
+ *
+ * @return {Promise}
+ */
+exports.status = function status() {
+  return send(this, 'status').then(data(this, 'status'))
+}
+
+/**
+ * Gets database and playback statistics.
+ *
+ * @return {Promise}
+ */
+exports.stats = function stats() {
+  return send(this, 'stats').then(data(this))
+}
+
+
+// Playback options
+
+/**
+ * @param {Boolean} state
+ * @return {Promise}
+ */
+exports.consume = function consume(state) {
+  return send(this, 'consume', bool(state)).then(noop)
+}
+
+/**
+ * @param {Number} seconds
+ * @return {Promise}
+ */
+exports.crossfade = function crossfade(seconds) {
+  return send(this, 'crossfade', seconds).then(noop)
+}
+
+/**
+ * @param {Number} deciBels
+ * @return {Promise}
+ */
+exports.mixrampdb = function mixrampdb(deciBels) {
+  return send(this, 'mixrampdb', deciBels).then(noop)
+}
+
+/**
+ * @param {Number|String} seconds A number, or "nan" to disable MixRamp.
+ * @return {Promise}
+ */
+exports.mixrampdelay = function mixrampdelay(seconds) {
+  return send(this, 'mixrampdelay', seconds).then(noop)
+}
+
+/**
+ * @param {Boolean} state
+ * @return {Promise}
+ */
+exports.random = function random(state) {
+  return send(this, 'random', bool(state)).then(noop)
+}
+
+/**
+ * @param {Boolean} state
+ * @return {Promise}
+ */
+exports.repeat = function repeat(state) {
+  return send(this, 'repeat', bool(state)).then(noop)
+}
+
+/**
+ * @param {Number} volume Between 0 and 100.
+ * @return {Promise}
+ */
+exports.setvol = function setvol(volume) {
+  return send(this, 'setvol', volume).then(noop)
+}
+
+/**
+ * Needs MPD 0.23. Older servers only report the volume in status.
+ *
+ * @return {Promise} Resolves with the data, which contains `volume`.
+ */
+exports.getvol = function getvol() {
+  return requireFeature(this, 'getvol') || send(this, 'getvol').then(data(this))
+}
+
+/**
+ * Changes the volume relative to the current volume. Deprecated by MPD in
+ * favour of setvol.
+ *
+ * @param {Number} change Between -100 and 100.
+ * @return {Promise}
+ */
+exports.volume = function volume(change) {
+  return send(this, 'volume', change).then(noop)
+}
+
+/**
+ * @param {Boolean|String} state true, false or "oneshot".
+ * @return {Promise}
+ */
+exports.single = function single(state) {
+  if (typeof state === 'string') {
+    return requireFeature(this, 'singleOneshot') || send(this, 'single', state).then(noop)
+  }
+
+  return send(this, 'single', bool(state)).then(noop)
+}
+
+/**
+ * @param {String} mode One of "off", "track", "album" or "auto".
+ * @return {Promise}
+ */
+exports.replayGainMode = function replayGainMode(mode) {
+  return send(this, 'replay_gain_mode', mode).then(noop)
+}
+
+/**
+ * @return {Promise}
+ */
+exports.replayGainStatus = function replayGainStatus() {
+  return send(this, 'replay_gain_status').then(data(this))
+}
+
+
+// Controlling playback
+
+/**
+ * @return {Promise}
+ */
+exports.next = function next() {
+  return send(this, 'next').then(noop)
+}
+
+/**
+ * Toggles pause, or pauses/resumes if a state is given.
+ *
+ * @param {Boolean} [state]
+ * @return {Promise}
+ */
+exports.pause = function pause(state) {
+  return send(this, 'pause', bool(state)).then(noop)
+}
+
+/**
+ * @param {Number} [pos] The position in the queue to start playing.
+ * @return {Promise}
+ */
+exports.play = function play(pos) {
+  return send(this, 'play', pos).then(noop)
+}
+
+/**
+ * @param {Number} [id] The song id to start playing.
+ * @return {Promise}
+ */
+exports.playid = function playid(id) {
+  return send(this, 'playid', id).then(noop)
+}
+
+/**
+ * @return {Promise}
+ */
+exports.previous = function previous() {
+  return send(this, 'previous').then(noop)
+}
+
+/**
+ * @param {Number} pos  The position in the queue.
+ * @param {Number} time The time in seconds.
+ * @return {Promise}
+ */
+exports.seek = function seek(pos, time) {
+  return send(this, 'seek', pos, time).then(noop)
+}
+
+/**
+ * @param {Number} id   The song id.
+ * @param {Number} time The time in seconds.
+ * @return {Promise}
+ */
+exports.seekid = function seekid(id, time) {
+  return send(this, 'seekid', id, time).then(noop)
+}
+
+/**
+ * Seeks in the current song. A string starting with "+" or "-" seeks
+ * relative to the current position.
+ *
+ * @param {Number|String} time
+ * @return {Promise}
+ */
+exports.seekcur = function seekcur(time) {
+  return send(this, 'seekcur', time).then(noop)
+}
+
+/**
+ * @return {Promise}
+ */
+exports.stop = function stop() {
+  return send(this, 'stop').then(noop)
+}
+
+
+// The current playlist (queue)
+
+/**
+ * @param {String} uri A file or directory (added recursively).
+ * @return {Promise}
+ */
+exports.add = function add(uri) {
+  return send(this, 'add', uri).then(noop)
+}
+
+/**
+ * @param {String} uri
+ * @param {Number} [pos]
+ * @return {Promise} Resolves with the data, which contains the new `Id`.
+ */
+exports.addid = function addid(uri, pos) {
+  return send(this, 'addid', uri, pos).then(data(this))
+}
+
+/**
+ * @return {Promise}
+ */
+exports.clear = function clear() {
+  return send(this, 'clear').then(noop)
+}
+
+/**
+ * @param {Number|Array} posOrRange A position, or a [start, end] range.
+ * @return {Promise}
+ */
+exports.delete = function _delete(posOrRange) {
+  return send(this, 'delete', range(posOrRange)).then(noop)
+}
+
+/**
+ * @param {Number} id
+ * @return {Promise}
+ */
+exports.deleteid = function deleteid(id) {
+  return send(this, 'deleteid', id).then(noop)
+}
+
+/**
+ * @param {Number|Array} from A position, or a [start, end] range.
+ * @param {Number}       to
+ * @return {Promise}
+ */
+exports.move = function move(from, to) {
+  return send(this, 'move', range(from), to).then(noop)
+}
+
+/**
+ * @param {Number} id
+ * @param {Number} to
+ * @return {Promise}
+ */
+exports.moveid = function moveid(id, to) {
+  return send(this, 'moveid', id, to).then(noop)
+}
+
+/**
+ * @param {String} tag
+ * @param {String} needle
+ * @return {Promise} Resolves with an array of records.
+ */
+exports.playlistfind = function playlistfind(tag, needle) {
+  return send(this, 'playlistfind', tag, needle).then(records(this))
+}
+
+/**
+ * @param {Number} [id]
+ * @return {Promise} Resolves with an array of records.
+ */
+exports.playlistid = function playlistid(id) {
+  return send(this, 'playlistid', id).then(records(this))
+}
+
+/**
+ * @param {Number|Array} [posOrRange]
+ * @return {Promise} Resolves with an array of records.
+ */
+exports.playlistinfo = function playlistinfo(posOrRange) {
+  return send(this, 'playlistinfo', range(posOrRange)).then(records(this))
+}
+
+/**
+ * @param {String} tag
+ * @param {String} needle
+ * @return {Promise} Resolves with an array of records.
+ */
+exports.playlistsearch = function playlistsearch(tag, needle) {
+  return send(this, 'playlistsearch', tag, needle).then(records(this))
+}
+
+/**
+ * @param {Number} version
+ * @param {Array}  [window] A [start, end] range.
+ * @return {Promise} Resolves with an array of records.
+ */
+exports.plchanges = function plchanges(version, window) {
+  return send(this, 'plchanges', version, range(window)).then(records(this))
+}
+
+/**
+ * @param {Number} version
+ * @param {Array}  [window] A [start, end] range.
+ * @return {Promise} Resolves with an array of records.
+ */
+exports.plchangesposid = function plchangesposid(version, window) {
+  return send(this, 'plchangesposid', version, range(window)).then(records(this))
+}
+
+/**
+ * @param {Number}       priority Between 0 and 255.
+ * @param {Number|Array} ...ranges
+ * @return {Promise}
+ */
+exports.prio = function prio(priority) {
+  const ranges = Array.prototype.slice.call(arguments, 1).map(range)
+  return send.apply(null, [this, 'prio', priority].concat(ranges)).then(noop)
+}
+
+/**
+ * @param {Number} priority Between 0 and 255.
+ * @param {Number} ...ids
+ * @return {Promise}
+ */
+exports.prioid = function prioid(priority) {
+  const ids = Array.prototype.slice.call(arguments, 1)
+  return send.apply(null, [this, 'prioid', priority].concat(ids)).then(noop)
+}
+
+/**
+ * @param {Number} id
+ * @param {Array}  [window] A [start, end] range in seconds, omit to clear.
+ * @return {Promise}
+ */
+exports.rangeid = function rangeid(id, window) {
+  return requireFeature(this, 'rangeid') || send(this, 'rangeid', id, window == null ? ':' : range(window)).then(noop)
+}
+
+/**
+ * @param {Array} [window] A [start, end] range.
+ * @return {Promise}
+ */
+exports.shuffle = function shuffle(window) {
+  return send(this, 'shuffle', range(window)).then(noop)
+}
+
+/**
+ * @param {Number} pos1
+ * @param {Number} pos2
+ * @return {Promise}
+ */
+exports.swap = function swap(pos1, pos2) {
+  return send(this, 'swap', pos1, pos2).then(noop)
+}
+
+/**
+ * @param {Number} id1
+ * @param {Number} id2
+ * @return {Promise}
+ */
+exports.swapid = function swapid(id1, id2) {
+  return send(this, 'swapid', id1, id2).then(noop)
+}
+
+/**
+ * @param {Number} id
+ * @param {String} tag
+ * @param {String} value
+ * @return {Promise}
+ */
+exports.addtagid = function addtagid(id, tag, value) {
+  return requireFeature(this, 'addtagid') || send(this, 'addtagid', id, tag, value).then(noop)
+}
+
+/**
+ * @param {Number} id
+ * @param {String} [tag] Omit to clear all tags.
+ * @return {Promise}
+ */
+exports.cleartagid = function cleartagid(id, tag) {
+  return requireFeature(this, 'addtagid') || send(this, 'cleartagid', id, tag).then(noop)
+}
+
+
+// Stored playlists
+
+/**
+ * @return {Promise} Resolves with an array of records, with `playlist` and
+ *                   `Last-Modified`.
+ */
+exports.listplaylists = function listplaylists() {
+  return send(this, 'listplaylists').then(records(this))
+}
+
+/**
+ * @param {String} name
+ * @return {Promise} Resolves with an array of records, with only `file`.
+ */
+exports.listplaylist = function listplaylist(name) {
+  return send(this, 'listplaylist', name).then(records(this))
+}
+
+/**
+ * @param {String} name
+ * @return {Promise} Resolves with an array of song records.
+ */
+exports.listplaylistinfo = function listplaylistinfo(name) {
+  return send(this, 'listplaylistinfo', name).then(records(this))
+}
+
+/**
+ * Adds a stored playlist to the queue.
+ *
+ * @param {String} name
+ * @param {Array}  [window] [start, end] to only load part of the playlist.
+ * @param {Number} [pos]    Where to insert the songs in the queue.
+ * @return {Promise}
+ */
+exports.load = function load(name, window, pos) {
+  // The position can only be given after a range.
+  if (window == null && pos != null) {
+    window = [0]
+  }
+
+  return send(this, 'load', name, range(window), pos).then(noop)
+}
+
+/**
+ * Needs MPD 0.24.
+ *
+ * @param {String} name
+ * @return {Promise} Resolves with the data, which contains `songs` and
+ *                   `playtime`.
+ */
+exports.playlistlength = function playlistlength(name) {
+  return requireFeature(this, 'playlistlength') || send(this, 'playlistlength', name).then(data(this))
+}
+
+/**
+ * Searches a stored playlist. Needs MPD 0.24.
+ *
+ * @param {String}               name
+ * @param {Object|Filter|String} filter   {tag: value} pairs, a Filter or a filter expression.
+ * @param {Array}                [window] A [start, end] range.
+ * @return {Promise} Resolves with an array of records.
+ */
+exports.searchplaylist = function searchplaylist(name, filter, window) {
+  let args
+  try {
+    const err = checkFeature(this, 'searchplaylist')
+    if (err != null) throw err
+    args = filterArgs(this, filter, 'contains')
+  }
+  catch (err) {
+    return Promise.reject(err)
+  }
+
+  return send.apply(null, [this, 'searchplaylist', name].concat(args, [range(window)])).then(records(this))
+}
+
+/**
+ * @param {String} name
+ * @param {String} uri
+ * @param {Number} [pos]
+ * @return {Promise}
+ */
+exports.playlistadd = function playlistadd(name, uri, pos) {
+  return send(this, 'playlistadd', name, uri, pos).then(noop)
+}
+
+/**
+ * @param {String} name
+ * @return {Promise}
+ */
+exports.playlistclear = function playlistclear(name) {
+  return send(this, 'playlistclear', name).then(noop)
+}
+
+/**
+ * @param {String}       name
+ * @param {Number|Array} posOrRange A position, or a [start, end] range.
+ * @return {Promise}
+ */
+exports.playlistdelete = function playlistdelete(name, posOrRange) {
+  return send(this, 'playlistdelete', name, range(posOrRange)).then(noop)
+}
+
+/**
+ * @param {String} name
+ * @param {Number} from
+ * @param {Number} to
+ * @return {Promise}
+ */
+exports.playlistmove = function playlistmove(name, from, to) {
+  return send(this, 'playlistmove', name, from, to).then(noop)
+}
+
+/**
+ * @param {String} name
+ * @param {String} newName
+ * @return {Promise}
+ */
+exports.rename = function rename(name, newName) {
+  return send(this, 'rename', name, newName).then(noop)
+}
+
+/**
+ * @param {String} name
+ * @return {Promise}
+ */
+exports.rm = function rm(name) {
+  return send(this, 'rm', name).then(noop)
+}
+
+/**
+ * Saves the queue as a stored playlist.
+ *
+ * @param {String} name
+ * @param {String} [mode] "create", "append" or "replace" (MPD 0.24+).
+ * @return {Promise}
+ */
+exports.save = function save(name, mode) {
+  if (mode != null) {
+    return requireFeature(this, 'saveMode') || send(this, 'save', name, mode).then(noop)
+  }
+
+  return send(this, 'save', name).then(noop)
+}
+
+/**
+ * Exports a stored playlist as the contents of an M3U or PLS file.
+ *
+ * @param {String} name
+ * @param {String} [format="m3u"] "m3u", "m3u8" (the same) or "pls".
+ * @param {Object} [options]       See playlistFiles.formatM3U().
+ * @return {Promise} Resolves with a string.
+ */
+exports.exportPlaylist = function exportPlaylist(name, format, options) {
+  return send(this, 'listplaylistinfo', name)
+    .then(response => formatPlaylist(response.records, format, options))
+}
+
+/**
+ * Exports the queue as the contents of an M3U or PLS file.
+ *
+ * @param {String} [format="m3u"] "m3u", "m3u8" (the same) or "pls".
+ * @param {Object} [options]       See playlistFiles.formatM3U().
+ * @return {Promise} Resolves with a string.
+ */
+exports.exportQueue = function exportQueue(format, options) {
+  return send(this, 'playlistinfo')
+    .then(response => formatPlaylist(response.records, format, options))
+}
+
+/**
+ * Imports the contents of an M3U or PLS file into a stored playlist. The
+ * songs are added to the end of the playlist, which is created if it does
+ * not exist yet. Locations in the file are resolved with
+ * playlistFiles.resolveUri().
+ *
+ * @param {String} name
+ * @param {String} text
+ * @param {Object} [options]
+ * @param {String} [options.format]         "m3u", "m3u8" or "pls", detected if
+ *                                          not given.
+ * @param {String} [options.baseDir]        The directory of the file.
+ * @param {String} [options.musicDirectory] MPD's music directory.
+ * @return {Promise} Resolves with the URIs that were added. If one could not
+ *                   be added, rejects with an MPDError with `failedCommand`.
+ */
+exports.importPlaylist = function importPlaylist(name, text, options) {
+  options = options || {}
+
+  let uris
+  try {
+    uris = playlistFiles.parse(text, options.format)
+      .map(entry => playlistFiles.resolveUri(entry.uri, options))
+  }
+  catch (err) {
+    return Promise.reject(err)
+  }
+
+  if (uris.length === 0) {
+    return Promise.resolve(uris)
+  }
+
+  return this.commandList(uris.map(uri => ['playlistadd', name, uri]), false)
+    .then(() => uris)
+}
+
+
+// The music database
+
+/**
+ * @param {Object|Filter|String} filter {tag: value} pairs, a Filter or a filter expression.
+ * @return {Promise}
+ */
+exports.count = function count(filter) {
+  return sendFiltered(this, ['count'], filter, '==').then(data(this))
+}
+
+/**
+ * @param {Object|Filter|String} filter {tag: value} pairs, a Filter from lib/query.js
+ *                                      or a filter expression.
+ * @return {Query} Resolves with an array of records. Can be sorted and
+ *                 windowed before it is sent, see lib/query.js.
+ */
+exports.find = function find(filter) {
+  return new query.Query(options => sendFiltered(this, ['find'], filter, '==', options).then(records(this)))
+}
+
+/**
+ * @param {Object|Filter|String} filter {tag: value} pairs, a Filter or a filter expression.
+ * @return {Promise}
+ */
+exports.findadd = function findadd(filter) {
+  return sendFiltered(this, ['findadd'], filter, '==').then(noop)
+}
+
+/**
+ * @param {String}               type     The tag to list, e.g. "Album".
+ * @param {Object|Filter|String} [filter] {tag: value} pairs, a Filter or a filter expression.
+ * @return {Promise}
+ */
+exports.list = function list(type, filter) {
+  return sendFiltered(this, ['list', type], filter, '==').then(data(this))
+}
+
+/**
+ * @param {String} [uri]
+ * @return {Promise} Resolves with an array of records.
+ */
+exports.listall = function listall(uri) {
+  return send(this, 'listall', uri).then(records(this))
+}
+
+/**
+ * @param {String} [uri]
+ * @return {Promise} Resolves with an array of records.
+ */
+exports.listallinfo = function listallinfo(uri) {
+  return send(this, 'listallinfo', uri).then(records(this))
+}
+
+/**
+ * @param {String} [uri]
+ * @return {Promise} Resolves with an array of records.
+ */
+exports.listfiles = function listfiles(uri) {
+  return requireFeature(this, 'listfiles') || send(this, 'listfiles', uri).then(records(this))
+}
+
+/**
+ * @param {String} [uri]
+ * @return {Promise} Resolves with an array of records.
+ */
+exports.lsinfo = function lsinfo(uri) {
+  return send(this, 'lsinfo', uri).then(records(this))
+}
+
+/**
+ * Calculates the Chromaprint fingerprint of a song. Needs MPD 0.22.
+ *
+ * @param {String} uri
+ * @return {Promise} Resolves with the data, which contains `chromaprint`.
+ */
+exports.getfingerprint = function getfingerprint(uri) {
+  return requireFeature(this, 'getfingerprint') || send(this, 'getfingerprint', uri).then(data(this))
+}
+
+/**
+ * @param {String} uri
+ * @return {Promise}
+ */
+exports.readcomments = function readcomments(uri) {
+  return send(this, 'readcomments', uri).then(data(this))
+}
+
+/**
+ * @param {Object|Filter|String} filter {tag: value} pairs, a Filter from lib/query.js
+ *                                      or a filter expression.
+ * @return {Query} Resolves with an array of records. Can be sorted and
+ *                 windowed before it is sent, see lib/query.js.
+ */
+exports.search = function search(filter) {
+  return new query.Query(options => sendFiltered(this, ['search'], filter, 'contains', options).then(records(this)))
+}
+
+/**
+ * @param {Object|Filter|String} filter {tag: value} pairs, a Filter or a filter expression.
+ * @return {Promise}
+ */
+exports.searchadd = function searchadd(filter) {
+  return sendFiltered(this, ['searchadd'], filter, 'contains').then(noop)
+}
+
+/**
+ * @param {String}               name   The stored playlist to add to.
+ * @param {Object|Filter|String} filter {tag: value} pairs, a Filter or a filter expression.
+ * @return {Promise}
+ */
+exports.searchaddpl = function searchaddpl(name, filter) {
+  return sendFiltered(this, ['searchaddpl', name], filter, 'contains').then(noop)
+}
+
+/**
+ * @param {String} [uri]
+ * @return {Promise} Resolves with the data, which contains `updating_db`.
+ */
+exports.update = function update(uri) {
+  return send(this, 'update', uri).then(data(this))
+}
+
+/**
+ * @param {String} [uri]
+ * @return {Promise} Resolves with the data, which contains `updating_db`.
+ */
+exports.rescan = function rescan(uri) {
+  return send(this, 'rescan', uri).then(data(this))
+}
+
+
+// Album art
+
+/**
+ * Gets a chunk of the album art (cover.png, cover.jpg, ...) in the directory
+ * of a song.
+ *
+ * @param {String} uri
+ * @param {Number} [offset=0]
+ * @return {Promise} Resolves with `{size, type, binary}`.
+ */
+exports.albumart = function albumart(uri, offset) {
+  return requireFeature(this, 'albumart') || send(this, 'albumart', uri, offset || 0).then(picture)
+}
+
+/**
+ * Gets a chunk of the picture embedded in a song.
+ *
+ * @param {String} uri
+ * @param {Number} [offset=0]
+ * @return {Promise} Resolves with `{size, type, binary}`.
+ */
+exports.readpicture = function readpicture(uri, offset) {
+  return requireFeature(this, 'readpicture') || send(this, 'readpicture', uri, offset || 0).then(picture)
+}
+
+/**
+ * Gets the complete album art of a song, by requesting all chunks.
+ *
+ * @param {String} uri
+ * @return {Promise} Resolves with `{size, type, binary}`.
+ */
+exports.fetchAlbumArt = function fetchAlbumArt(uri) {
+  return requireFeature(this, 'albumart') || fetchBinary(this, 'albumart', uri)
+}
+
+/**
+ * Gets the complete picture embedded in a song, by requesting all chunks.
+ * Resolves with null if the song does not contain a picture.
+ *
+ * @param {String} uri
+ * @return {Promise} Resolves with `{size, type, binary}`.
+ */
+exports.fetchPicture = function fetchPicture(uri) {
+  return requireFeature(this, 'readpicture') || fetchBinary(this, 'readpicture', uri)
+}
+
+
+// Mounts and neighbors
+
+/**
+ * @return {Promise} Resolves with an array of records, with `mount` and
+ *                   `storage`.
+ */
+exports.listmounts = function listmounts() {
+  return send(this, 'listmounts').then(records(this))
+}
+
+/**
+ * @return {Promise} Resolves with an array of records, with `neighbor` and
+ *                   `name`.
+ */
+exports.listneighbors = function listneighbors() {
+  return send(this, 'listneighbors').then(records(this))
+}
+
+/**
+ * Mounts a storage, e.g. an SMB or NFS share, in the music directory.
+ *
+ * @param {String} path A directory in the database.
+ * @param {String} uri  The storage, e.g. "nfs://server/music".
+ * @return {Promise}
+ */
+exports.mount = function mount(path, uri) {
+  return send(this, 'mount', path, uri).then(noop)
+}
+
+/**
+ * @param {String} path
+ * @return {Promise}
+ */
+exports.unmount = function unmount(path) {
+  return send(this, 'unmount', path).then(noop)
+}
+
+
+// Stickers
+// The type is "song" for songs. MPD 0.24 also knows stickers on other
+// objects, like "playlist".
+
+/**
+ * @param {String} type
+ * @param {String} uri
+ * @param {String} name
+ * @return {Promise} Resolves with the value.
+ */
+exports.stickerGet = function stickerGet(type, uri, name) {
+  return send(this, 'sticker', 'get', type, uri, name).then(response => stickerValue(response.data.sticker))
+}
+
+/**
+ * @param {String} type
+ * @param {String} uri
+ * @param {String} name
+ * @param {String} value
+ * @return {Promise}
+ */
+exports.stickerSet = function stickerSet(type, uri, name, value) {
+  return send(this, 'sticker', 'set', type, uri, name, value).then(noop)
+}
+
+/**
+ * @param {String} type
+ * @param {String} uri
+ * @param {String} [name] Omit to delete all stickers of the object.
+ * @return {Promise}
+ */
+exports.stickerDelete = function stickerDelete(type, uri, name) {
+  return send(this, 'sticker', 'delete', type, uri, name).then(noop)
+}
+
+/**
+ * @param {String} type
+ * @param {String} uri
+ * @return {Promise} Resolves with an object of {name: value} pairs.
+ */
+exports.stickerList = function stickerList(type, uri) {
+  return send(this, 'sticker', 'list', type, uri).then(response => {
+    const stickers = {}
+    for (const sticker of [].concat(response.data.sticker || [])) {
+      const i = sticker.indexOf('=')
+      stickers[sticker.substring(0, i)] = sticker.substring(i + 1)
+    }
+    return stickers
+  })
+}
+
+/**
+ * Finds the objects in a directory that have a sticker, optionally with a
+ * value that compares to the given one.
+ *
+ * @param {String} type
+ * @param {String} uri        A directory, "" for all of them.
+ * @param {String} name
+ * @param {String} [operator] "=", "<" or ">".
+ * @param {String} [value]
+ * @return {Promise} Resolves with an array of `{file, value}`.
+ */
+exports.stickerFind = function stickerFind(type, uri, name, operator, value) {
+  return send(this, 'sticker', 'find', type, uri, name, operator, value).then(response => response.records.map(record => ({
+    file: record.file,
+    value: stickerValue(record.sticker),
+  })))
+}
+
+
+// Connection settings
+
+/**
+ * Does nothing, but keeps the connection open.
+ *
+ * @return {Promise}
+ */
+exports.ping = function ping() {
+  return send(this, 'ping').then(noop)
+}
+
+/**
+ * Sets the maximum size of the chunks of binary responses like albumart, for
+ * this connection. Needs MPD 0.22.4.
+ *
+ * @param {Number} size In bytes, at least 64.
+ * @return {Promise}
+ */
+exports.binarylimit = function binarylimit(size) {
+  return requireFeature(this, 'binarylimit') || send(this, 'binarylimit', size).then(noop)
+}
+
+
+// Partitions
+// All of these need MPD 0.22. Switching partitions only applies to this
+// connection, not to the idle connection of a dual connection client.
+
+/**
+ * Switches this connection to another partition.
+ *
+ * @param {String} name
+ * @return {Promise}
+ */
+exports.partition = function partition(name) {
+  return requireFeature(this, 'partitions') || send(this, 'partition', name).then(noop)
+}
+
+/**
+ * @return {Promise} Resolves with an array of partition names.
+ */
+exports.listpartitions = function listpartitions() {
+  return requireFeature(this, 'partitions') ||
+    send(this, 'listpartitions').then(response => response.records.map(record => record.partition))
+}
+
+/**
+ * @param {String} name
+ * @return {Promise}
+ */
+exports.newpartition = function newpartition(name) {
+  return requireFeature(this, 'partitions') || send(this, 'newpartition', name).then(noop)
+}
+
+/**
+ * @param {String} name
+ * @return {Promise}
+ */
+exports.delpartition = function delpartition(name) {
+  return requireFeature(this, 'partitions') || send(this, 'delpartition', name).then(noop)
+}
+
+/**
+ * Moves an output to the current partition.
+ *
+ * @param {String} name The name of the output.
+ * @return {Promise}
+ */
+exports.moveoutput = function moveoutput(name) {
+  return requireFeature(this, 'partitions') || send(this, 'moveoutput', name).then(noop)
+}
+
+
+// Audio output devices
+
+/**
+ * @param {Number} id
+ * @return {Promise}
+ */
+exports.disableoutput = function disableoutput(id) {
+  return send(this, 'disableoutput', id).then(noop)
+}
+
+/**
+ * @param {Number} id
+ * @return {Promise}
+ */
+exports.enableoutput = function enableoutput(id) {
+  return send(this, 'enableoutput', id).then(noop)
+}
+
+/**
+ * @param {Number} id
+ * @return {Promise}
+ */
+exports.toggleoutput = function toggleoutput(id) {
+  return send(this, 'toggleoutput', id).then(noop)
+}
+
+/**
+ * Sets a runtime attribute of an output, like "dop" for ALSA. Needs MPD
+ * 0.21.
+ *
+ * @param {Number} id
+ * @param {String} name
+ * @param {String} value
+ * @return {Promise}
+ */
+exports.outputset = function outputset(id, name, value) {
+  return requireFeature(this, 'outputset') || send(this, 'outputset', id, name, value).then(noop)
+}
+
+/**
+ * @return {Promise} Resolves with an array of records.
+ */
+exports.outputs = function outputs() {
+  return send(this, 'outputs').then(records(this))
+}
+
+
+// Reflection
+
+/**
+ * @return {Promise}
+ */
+exports.commands = function commands() {
+  return send(this, 'commands').then(data(this))
+}
+
+/**
+ * @return {Promise}
+ */
+exports.notcommands = function notcommands() {
+  return send(this, 'notcommands').then(data(this))
+}
+
+/**
+ * @return {Promise}
+ */
+exports.tagtypes = function tagtypes() {
+  return send(this, 'tagtypes').then(data(this))
+}
+
+/**
+ * Adds tags to the ones MPD sends in song records.
+ *
+ * @param {String} ...tags
+ * @return {Promise}
+ */
+exports.tagtypesEnable = function tagtypesEnable() {
+  const tags = Array.prototype.slice.call(arguments)
+  return send.apply(null, [this, 'tagtypes', 'enable'].concat(tags)).then(noop)
+}
+
+/**
+ * Leaves tags out of song records, for this connection.
+ *
+ * @param {String} ...tags
+ * @return {Promise}
+ */
+exports.tagtypesDisable = function tagtypesDisable() {
+  const tags = Array.prototype.slice.call(arguments)
+  return send.apply(null, [this, 'tagtypes', 'disable'].concat(tags)).then(noop)
+}
+
+/**
+ * Leaves all tags out of song records, for this connection.
+ *
+ * @return {Promise}
+ */
+exports.tagtypesClear = function tagtypesClear() {
+  return send(this, 'tagtypes', 'clear').then(noop)
+}
+
+/**
+ * Sends all tags in song records again.
+ *
+ * @return {Promise}
+ */
+exports.tagtypesAll = function tagtypesAll() {
+  return send(this, 'tagtypes', 'all').then(noop)
+}
+
+/**
+ * @return {Promise}
+ */
+exports.urlhandlers = function urlhandlers() {
+  return send(this, 'urlhandlers').then(data(this))
+}
+
+/**
+ * @return {Promise} Resolves with an array of records.
+ */
+exports.decoders = function decoders() {
+  return send(this, 'decoders').then(records(this))
+}
+
+
+// Client to client
+// subscribe() and unsubscribe() are on MPClient itself, because it keeps
+// track of the channels.
+
+/**
+ * @return {Promise} Resolves with an array of channel names.
+ */
+exports.channels = function channels() {
+  return send(this, 'channels').then(response => response.records.map(record => record.channel))
+}
+
+/**
+ * Sends a message to everyone that is subscribed to a channel.
+ *
+ * @param {String} channel
+ * @param {String} text
+ * @return {Promise}
+ */
+exports.publish = function publish(channel, text) {
+  return send(this, 'sendmessage', channel, text).then(noop)
+}
+
+/**
+ * Reads the messages that arrived on the subscribed channels. This happens
+ * automatically when MPD reports a "message" change, so usually listening to
+ * the "message" event is enough.
+ *
+ * @return {Promise} Resolves with an array of `{channel, text}`.
+ */
+exports.readmessages = function readmessages() {
+  return send(this, 'readmessages').then(response => response.records.map(record => ({
+    channel: record.channel,
+    text: record.message,
+  })))
+}
+
+
+/**
+ * Sends a command with arguments. Arguments that are null or undefined are
+ * left out, the others are quoted and escaped by `client.command()`.
+ *
+ * @param {MPClient} client
+ * @param {String}   name
+ * @param {*}        ...args
+ * @return {Promise}
+ */
+function send(client, name) {
+  return client.command.apply(client, Array.prototype.slice.call(arguments, 1))
+}
+
+/**
+ * Converts a boolean to the "0" or "1" MPD expects.
+ *
+ * @param {Boolean} [state]
+ * @return {Number}
+ */
+function bool(state) {
+  if (state == null) return state
+  return state ? 1 : 0
+}
+
+/**
+ * Converts a position or a [start, end] array to MPD's START:END notation.
+ *
+ * @param {Number|Array} [value]
+ * @return {Number|String}
+ */
+function range(value) {
+  if (!Array.isArray(value)) return value
+
+  const start = value[0] == null ? '' : value[0]
+  const end = value[1] == null ? '' : value[1]
+
+  return start + ':' + end
+}
+
+/**
+ * Sends a command that takes a filter, in the dialect the server supports.
+ *
+ * @param {MPClient}             client
+ * @param {Array}                command  The command and the arguments before the filter.
+ * @param {Object|Filter|String} [filter]
+ * @param {String}               operator The operator for {tag: value} pairs, "==" or "contains".
+ * @param {Object}               [options]
+ * @param {String}               [options.sort]   A tag, descending if it starts with "-".
+ * @param {Array}                [options.window] [start, end]
+ * @return {Promise}
+ */
+function sendFiltered(client, command, filter, operator, options) {
+  options = options || {}
+
+  let args
+  try {
+    args = filterArgs(client, filter, operator)
+
+    if (options.sort != null) {
+      const err = checkFeature(client, 'sort')
+      if (err != null) throw err
+      args.push('sort', options.sort)
+    }
+    if (options.window != null) {
+      const err = checkFeature(client, 'window')
+      if (err != null) throw err
+      args.push('window', range(options.window))
+    }
+  }
+  catch (err) {
+    return Promise.reject(err)
+  }
+
+  return send.apply(null, [client].concat(command, args))
+}
+
+/**
+ * Converts a filter to a list of arguments. A string is passed as a single
+ * filter expression. {tag: value} pairs and Filters from lib/query.js become
+ * a filter expression if the server supports those, or {TYPE} {WHAT} pairs
+ * otherwise.
+ *
+ * @param {MPClient}             client
+ * @param {Object|Filter|String} [filter]
+ * @param {String}               operator
+ * @return {Array}
+ * @throws {UnsupportedError} If the server does not support the expression.
+ */
+function filterArgs(client, filter, operator) {
+  if (filter == null) return []
+
+  const err = checkFeature(client, 'filterExpressions')
+
+  if (typeof filter === 'string') {
+    if (err != null) throw err
+    return [filter]
+  }
+
+  if (!(filter instanceof query.Filter)) {
+    filter = query.fromObject(filter, operator)
+    if (filter == null) return []
+  }
+
+  if (err != null) {
+    const args = filter.toLegacy(operator)
+    if (args == null) throw err
+    return args
+  }
+
+  for (const feature of filter.features) {
+    const featureErr = checkFeature(client, feature)
+    if (featureErr != null) throw featureErr
+  }
+
+  return [filter.toString()]
+}
+
+/**
+ * @param {MPClient} client
+ * @param {String}   feature
+ * @return {UnsupportedError} Or null if the server supports the feature.
+ */
+function checkFeature(client, feature) {
+  if (client.supports(feature)) return null
+
+  return new errors.UnsupportedError(feature, version.features[feature], client.serverVersion)
+}
+
+/**
+ * Like checkFeature, but returns a rejected promise, so it can be used as
+ * `return requireFeature(client, feature) || send(...)`.
+ *
+ * @param {MPClient} client
+ * @param {String}   feature
+ * @return {Promise} Or null if the server supports the feature.
+ */
+function requireFeature(client, feature) {
+  const err = checkFeature(client, feature)
+  return err == null ? null : Promise.reject(err)
+}
+
+/**
+ * Returns a function that gets the data from a response, converted with
+ * schema.coerce if the client is in typed mode.
+ *
+ * @param {MPClient} client
+ * @param {String}   [command] For conversions that depend on the command.
+ * @return {Function}
+ */
+function data(client, command) {
+  return response => client.typed ? schema.coerce(response.data, command) : response.data
+}
+
+/**
+ * @param {Array}  songs
+ * @param {String} [format="m3u"]
+ * @param {Object} [options]
+ * @return {String}
+ * @throws {Error} If the format is unknown.
+ */
+function formatPlaylist(songs, format, options) {
+  switch (format || 'm3u') {
+    case 'm3u':
+    case 'm3u8':
+      return playlistFiles.formatM3U(songs, options)
+    case 'pls':
+      return playlistFiles.formatPLS(songs, options)
+    default:
+      throw new Error('Unknown playlist format: "' + format + '"')
+  }
+}
+
+/**
+ * Returns a function that gets the records from a response, converted with
+ * schema.coerce if the client is in typed mode.
+ *
+ * @param {MPClient} client
+ * @return {Function}
+ */
+function records(client) {
+  return response => client.typed ? response.records.map(schema.coerce) : response.records
+}
+
+/**
+ * @param {String} [sticker] A "name=value" pair, as MPD sends stickers.
+ * @return {String} The value.
+ */
+function stickerValue(sticker) {
+  if (sticker == null) return null
+
+  return sticker.substring(sticker.indexOf('=') + 1)
+}
+
+/**
+ * Gets a chunk of a picture from the response to albumart (MPD 0.21) or
+ * readpicture (MPD 0.22). Checking the feature is up to the caller.
+ *
+ * @param {Object} response
+ * @return {Object} `{size, type, binary}`, where size is the size of the
+ *                  whole file and binary only this chunk. Or null if the
+ *                  song has no picture.
+ */
+function picture(response) {
+  // readpicture responds with an empty OK if there is no picture.
+  if (response.binary == null) return null
+
+  return {
+    size: parseInt(response.data.size, 10),
+    type: response.data.type,
+    binary: response.binary,
+  }
+}
+
+/**
+ * Requests the chunks of a binary response until the whole file is received.
+ *
+ * @param {MPClient} client
+ * @param {String}   command "albumart" or "readpicture".
+ * @param {String}   uri
+ * @return {Promise} Resolves with `{size, type, binary}`, or null.
+ */
+function fetchBinary(client, command, uri) {
+  const chunks = []
+  let received = 0
+
+  function next(offset) {
+    return send(client, command, uri, offset).then(picture).then(chunk => {
+      if (chunk == null) return null
+
+      chunks.push(chunk.binary)
+      received += chunk.binary.length
+
+      // An empty chunk means the server has nothing more to send.
+      if (received < chunk.size && chunk.binary.length > 0) {
+        return next(received)
+      }
+
+      return {
+        size: chunk.size,
+        type: chunk.type,
+        binary: Buffer.concat(chunks, received),
+      }
+    })
+  }
+
+  return next(0)
+}
@@ -0,0 +1,231 @@
+'use strict'
+
+const query = require('./query')
+
+const $client = Symbol('client')
+const $entries = Symbol('entries')
+
+/**
+ * What the arguments of MPD commands are, for completion. "pairs" are tags
+ * and values taking turns, for the rest of the arguments.
+ */
+const ARGUMENT_TYPES = {
+  add: ['uri'],
+  addid: ['uri'],
+  albumart: ['uri'],
+  count: ['pairs'],
+  find: ['pairs'],
+  findadd: ['pairs'],
+  getfingerprint: ['uri'],
+  list: ['tag', 'pairs'],
+  listall: ['uri'],
+  listallinfo: ['uri'],
+  listfiles: ['uri'],
+  listplaylist: ['playlist'],
+  listplaylistinfo: ['playlist'],
+  load: ['playlist'],
+  lsinfo: ['uri'],
+  playlistadd: ['playlist', 'uri'],
+  playlistclear: ['playlist'],
+  playlistdelete: ['playlist'],
+  playlistmove: ['playlist'],
+  readcomments: ['uri'],
+  readpicture: ['uri'],
+  rename: ['playlist'],
+  rescan: ['uri'],
+  rm: ['playlist'],
+  save: ['playlist'],
+  search: ['pairs'],
+  searchadd: ['pairs'],
+  searchaddpl: ['playlist', 'pairs'],
+  update: ['uri'],
+}
+
+
+class LsinfoCache {
+
+  /**
+   * Looks up the songs, directories and playlists in directories with
+   * lsinfo, and keeps the results for a while. The directory that was used
+   * least recently is dropped when there are too many.
+   *
+   * @param {MPClient} client
+   * @param {Object}   [options]
+   * @param {Number}   [options.size=50]    How many directories to keep.
+   * @param {Number}   [options.ttl=60000]  How long to keep them, in milliseconds.
+   * @param {Function} [options.now=Date.now]
+   */
+  constructor(client, options) {
+    options = options || {}
+
+    this.size = options.size == null ? 50 : options.size
+    this.ttl = options.ttl == null ? 60 * 1000 : options.ttl
+    this.now = options.now || Date.now
+    this[$client] = client
+    this[$entries] = new Map()
+  }
+
+  /**
+   * Looks up the entries in the directory of a partially typed URI.
+   *
+   * @param {String} partial
+   * @return {Promise} Resolves with `{value, directory}` objects.
+   */
+  entries(partial) {
+    const cache = this[$entries]
+    const dir = partial.substring(0, partial.lastIndexOf('/') + 1).replace(/\/$/, '')
+    const cached = cache.get(dir)
+
+    if (cached != null && this.now() - cached.time < this.ttl) {
+      // Move it to the end, as the most recently used.
+      cache.delete(dir)
+      cache.set(dir, cached)
+      return cached.entries
+    }
+
+    const entries = this[$client].lsinfo(dir === '' ? undefined : dir).then(records => records.map(record => {
+      if (record.directory != null) {
+        return {value: record.directory + '/', directory: true}
+      }
+
+      return {value: record.file != null ? record.file : record.playlist, directory: false}
+    }))
+    const entry = {time: this.now(), entries}
+
+    cache.delete(dir)
+    cache.set(dir, entry)
+    if (cache.size > this.size) {
+      cache.delete(cache.keys().next().value)
+    }
+    entries.catch(() => {
+      if (cache.get(dir) === entry) {
+        cache.delete(dir)
+      }
+    })
+
+    return entries
+  }
+
+  /**
+   * Forgets everything, e.g. after the database changed.
+   */
+  clear() {
+    this[$entries].clear()
+  }
+
+}
+
+
+/**
+ * Splits a line into the arguments before the cursor, and the argument that
+ * is being typed, both as typed (`raw`) and without quotes (`value`).
+ *
+ * @param {String} line
+ * @return {Object} `{args, raw, value}`
+ */
+function splitLine(line) {
+  const args = []
+  let raw = ''
+  let value = ''
+  let quoted = false
+
+  for (let i = 0; i < line.length; i += 1) {
+    const c = line[i]
+
+    if (quoted) {
+      raw += c
+      if (c === '\\' && i + 1 < line.length) {
+        i += 1
+        raw += line[i]
+        value += line[i]
+      }
+      else if (c === '"') {
+        quoted = false
+      }
+      else {
+        value += c
+      }
+    }
+    else if (c === ' ') {
+      if (raw !== '') {
+        args.push(value)
+        raw = ''
+        value = ''
+      }
+    }
+    else {
+      raw += c
+      if (c === '"') {
+        quoted = true
+      }
+      else {
+        value += c
+      }
+    }
+  }
+
+  return {args, raw, value}
+}
+
+/**
+ * Returns what the argument after `args` is.
+ *
+ * @param {Array} args The command and the arguments before the one that is
+ *                     being typed, as returned by `splitLine()`.
+ * @return {String} "uri", "tag" or "playlist", or null if it can not be
+ *                  completed.
+ */
+function argumentType(args) {
+  const types = ARGUMENT_TYPES.hasOwnProperty(args[0]) ? ARGUMENT_TYPES[args[0]] : []
+  const n = args.length - 1
+
+  if (types[types.length - 1] === 'pairs' && n >= types.length - 1) {
+    return (n - types.length + 1) % 2 === 0 ? 'tag' : null
+  }
+
+  return types[n] || null
+}
+
+/**
+ * Returns the possibilities that start with what was typed, sorted.
+ *
+ * @param {Array}  possibilities
+ * @param {String} partial
+ * @return {Array}
+ */
+function matching(possibilities, partial) {
+  return possibilities.filter(possibility => possibility.startsWith(partial)).sort()
+}
+
+/**
+ * Turns the entries that match the argument that is being typed into
+ * completions. They are all quoted or none are, so they still have a common
+ * prefix, and directories are left open, so they can be completed further.
+ *
+ * @param {Array}  entries `{value, directory}` objects.
+ * @param {Object} parsed  The result of `splitLine()`.
+ * @return {Array} Sorted.
+ */
+function candidates(entries, parsed) {
+  entries = entries.filter(entry => entry.value.startsWith(parsed.value))
+
+  const quote = parsed.raw.startsWith('"') || entries.some(entry => !/^[^\s"\\]*$/.test(entry.value))
+
+  return entries.map(entry => {
+    if (!quote) {
+      return entry.value
+    }
+
+    const quoted = query.quote(entry.value)
+
+    return entry.directory ? quoted.substring(0, quoted.length - 1) : quoted
+  }).sort()
+}
+
+
+exports.ARGUMENT_TYPES = ARGUMENT_TYPES
+exports.LsinfoCache = LsinfoCache
+exports.argumentType = argumentType
+exports.candidates = candidates
+exports.matching = matching
+exports.splitLine = splitLine
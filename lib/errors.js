@@ -0,0 +1,118 @@
+'use strict'
+
+/**
+ * Error codes MPD sends in ACK responses.
+ *
+ * @see http://www.musicpd.org/doc/protocol/response_syntax.html
+ */
+const codes = {
+  ACK_ERROR_NOT_LIST: 1,
+  ACK_ERROR_ARG: 2,
+  ACK_ERROR_PASSWORD: 3,
+  ACK_ERROR_PERMISSION: 4,
+  ACK_ERROR_UNKNOWN: 5,
+
+  ACK_ERROR_NO_EXIST: 50,
+  ACK_ERROR_PLAYLIST_MAX: 51,
+  ACK_ERROR_SYSTEM: 52,
+  ACK_ERROR_PLAYLIST_LOAD: 53,
+  ACK_ERROR_UPDATE_ALREADY: 54,
+  ACK_ERROR_PLAYER_SYNC: 55,
+  ACK_ERROR_EXIST: 56,
+}
+
+// ACK [error@command_listNum] {current_command} message_text
+const ACK_PATTERN = /^ACK \[(\d+)@(\d+)\] \{([^}]*)\} ?(.*)$/
+
+
+class MPDError extends Error {
+
+  /**
+   * An error built from an ACK response.
+   *
+   * If the status line can not be parsed, `code`, `commandListIndex` and
+   * `command` are null, and the message is the status line itself.
+   *
+   * @param {Object} response The parsed response, with the ACK line as status.
+   */
+  constructor(response) {
+    const match = ACK_PATTERN.exec(response.status)
+
+    super(match ? match[4] : response.status)
+
+    this.name = 'MPDError'
+    this.code = match ? parseInt(match[1], 10) : null
+    this.commandListIndex = match ? parseInt(match[2], 10) : null
+    this.command = match ? match[3] : null
+    this.response = response
+  }
+
+}
+
+
+class TimeoutError extends Error {
+
+  /**
+   * An error for commands that did not get a response in time.
+   *
+   * @param {String} command The command that timed out.
+   * @param {Number} timeout The timeout in ms.
+   */
+  constructor(command, timeout) {
+    command = command.trim()
+
+    super('No response to "' + command + '" within ' + timeout + 'ms.')
+
+    this.name = 'TimeoutError'
+    this.command = command
+    this.timeout = timeout
+  }
+
+}
+
+
+class AbortError extends Error {
+
+  /**
+   * An error for commands that were aborted through an AbortSignal.
+   *
+   * @param {String} command The command that was aborted.
+   */
+  constructor(command) {
+    command = command.trim()
+
+    super('The command "' + command + '" was aborted.')
+
+    this.name = 'AbortError'
+    this.command = command
+  }
+
+}
+
+
+class UnsupportedError extends Error {
+
+  /**
+   * An error for features the server is too old for.
+   *
+   * @param {String}  feature
+   * @param {String}  requiredVersion The version that introduced the feature.
+   * @param {Version} serverVersion
+   */
+  constructor(feature, requiredVersion, serverVersion) {
+    super('"' + feature + '" requires MPD ' + requiredVersion + ' or newer, but the server runs ' + serverVersion + '.')
+
+    this.name = 'UnsupportedError'
+    this.feature = feature
+    this.requiredVersion = requiredVersion
+    this.serverVersion = serverVersion
+  }
+
+}
+
+
+exports.codes = codes
+exports.AbortError = AbortError
+exports.MPDError = MPDError
+exports.TimeoutError = TimeoutError
+exports.UnsupportedError = UnsupportedError
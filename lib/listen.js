@@ -0,0 +1,36 @@
+'use strict'
+
+/**
+ * Adds listeners for client events that start an update in the background,
+ * like those of PlayerState and QueueMirror. Nobody waits for such an
+ * update, so if it fails, the error is emitted as an "error" event on the
+ * object that is updated instead. That only happens if it has listeners for
+ * "error", so an unhandled failure does not throw.
+ *
+ * @param {EventEmitter} client
+ * @param {Object}       listeners {event: fn}, where fn returns a promise.
+ * @param {EventEmitter} target    The object that is updated.
+ * @return {Function} Removes the listeners again.
+ */
+function listen(client, listeners, target) {
+  const handlers = {}
+
+  for (const event of Object.keys(listeners)) {
+    handlers[event] = () => {
+      listeners[event]().catch(err => {
+        if (target.listenerCount('error') > 0) {
+          target.emit('error', err)
+        }
+      })
+    }
+    client.on(event, handlers[event])
+  }
+
+  return function unlisten() {
+    for (const event of Object.keys(handlers)) {
+      client.removeListener(event, handlers[event])
+    }
+  }
+}
+
+module.exports = listen
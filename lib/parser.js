@@ -0,0 +1,347 @@
+'use strict'
+
+/**
+ * Keys that mark the start of a new record in list responses, e.g. the
+ * "file" key for each song in the output of playlistinfo.
+ */
+const RECORD_KEYS = new Set(['file', 'directory', 'playlist'])
+
+/**
+ * The record keys of commands that list something other than songs,
+ * directories and playlists. Each record of outputs, for instance, has a
+ * "plugin" key, which is the record key of decoders. Commands that return a
+ * single object have none, since status, for one, has a "playlist" key.
+ */
+const COMMAND_RECORD_KEYS = {
+  channels: new Set(['channel']),
+  currentsong: new Set(),
+  decoders: new Set(['plugin']),
+  listmounts: new Set(['mount']),
+  listneighbors: new Set(['neighbor']),
+  listpartitions: new Set(['partition']),
+  outputs: new Set(['outputid']),
+  plchangesposid: new Set(['cpos']),
+  readmessages: new Set(['channel']),
+  replay_gain_status: new Set(),
+  stats: new Set(),
+  status: new Set(),
+}
+
+const LIST_BEGIN = /^command_list(_ok)?_begin$/
+
+const EMPTY = Buffer.alloc(0)
+const NEWLINE = 10
+
+
+class Parser {
+
+  /**
+   * An incremental reader for the MPD protocol. Chunks are added with
+   * `push()` as they arrive, and `read()` returns the next complete token:
+   *
+   *  - `{type: 'pair', key, value}` for "key: value" lines.
+   *  - `{type: 'binary', data}` for the payload after a "binary: N" pair.
+   *  - `{type: 'end', status}` for OK, ACK and list_OK lines.
+   *  - `{type: 'line', line}` for anything else, e.g. empty lines.
+   *
+   * Chunks are only copied when a token spans more than one, and the
+   * payload of a binary response is copied once, when it is complete, so
+   * reading is linear in the size of the response.
+   */
+  constructor() {
+    this.buffer = EMPTY
+    this.offset = 0
+    this.chunks = []
+    this.chunksLength = 0
+    this.chunksSearched = 0
+    this.chunksSearchedLength = 0
+    this.binaryLength = null
+  }
+
+  /**
+   * @param {Buffer} data
+   */
+  push(data) {
+    if (this.offset >= this.buffer.length && this.chunks.length === 0) {
+      this.buffer = data
+      this.offset = 0
+    }
+    else {
+      this.chunks.push(data)
+      this.chunksLength += data.length
+    }
+  }
+
+  /**
+   * @return {Object} The next token, or null if more data is needed.
+   */
+  read() {
+    if (this.binaryLength != null) {
+      return this._readBinary()
+    }
+
+    let nl = this.buffer.indexOf(NEWLINE, this.offset)
+
+    if (nl === -1) {
+      // Only merge once the line is complete, or a long line would be
+      // copied again for every chunk of it.
+      nl = this._searchChunks()
+      if (nl === -1) return null
+
+      this._merge()
+    }
+
+    const line = this.buffer.toString('utf8', this.offset, nl)
+    this.offset = nl + 1
+
+    if (line.startsWith('OK') || line.startsWith('ACK') || line === 'list_OK') {
+      return {type: 'end', status: line}
+    }
+
+    const i = line.indexOf(': ')
+
+    if (i === -1) {
+      return {type: 'line', line}
+    }
+
+    const key = line.substring(0, i)
+    const value = line.substring(i + 2)
+
+    if (key === 'binary') {
+      this.binaryLength = parseInt(value, 10)
+    }
+
+    return {type: 'pair', key, value}
+  }
+
+  _readBinary() {
+    // The payload is followed by a newline.
+    const needed = this.binaryLength + 1
+
+    if (this.buffer.length - this.offset + this.chunksLength < needed) {
+      return null
+    }
+
+    if (this.buffer.length - this.offset < needed) {
+      this._merge()
+    }
+
+    const data = Buffer.from(this.buffer.subarray(this.offset, this.offset + this.binaryLength))
+    this.offset += needed
+    this.binaryLength = null
+
+    return {type: 'binary', data}
+  }
+
+  // Returns the position of the first newline in the chunks, counted from
+  // the unread part of the buffer, or -1. Chunks without one are not
+  // searched again.
+  _searchChunks() {
+    while (this.chunksSearched < this.chunks.length) {
+      const chunk = this.chunks[this.chunksSearched]
+      const i = chunk.indexOf(NEWLINE)
+
+      if (i !== -1) {
+        return this.buffer.length - this.offset + this.chunksSearchedLength + i
+      }
+
+      this.chunksSearched += 1
+      this.chunksSearchedLength += chunk.length
+    }
+
+    return -1
+  }
+
+  // Joins the unread part of the buffer and the chunks after it.
+  _merge() {
+    const rest = this.buffer.subarray(this.offset)
+
+    this.buffer = Buffer.concat([rest].concat(this.chunks), rest.length + this.chunksLength)
+    this.offset = 0
+    this.chunks = []
+    this.chunksLength = 0
+    this.chunksSearched = 0
+    this.chunksSearchedLength = 0
+  }
+
+}
+
+
+class ResponseBuilder {
+
+  /**
+   * Builds the response to a command from the tokens of a Parser.
+   *
+   * Besides the flat `data` object, the response contains `records`, which
+   * splits the content into separate objects at each of `recordKeys`, which
+   * can be set until the first token is added. A record key only starts a
+   * new record if the current record already has one.
+   *
+   * If `onRecord` is given, each record is passed to it as soon as it is
+   * complete, and nothing is kept in the response itself. This is used for
+   * streaming.
+   *
+   * @param {Function} [onRecord]
+   * @param {Set}      [recordKeys=RECORD_KEYS] See `recordKeys()`.
+   */
+  constructor(onRecord, recordKeys) {
+    this.data = {}
+    this.records = []
+    this.lines = []
+    this.binary = null
+    this.length = 0
+    this.onRecord = onRecord || null
+    this.recordKeys = recordKeys || RECORD_KEYS
+    this._record = null
+    this._recordHasKey = false
+    this._valid = true
+  }
+
+  /**
+   * Adds a token, other than "end", to the response.
+   *
+   * @param {Object} token
+   */
+  add(token) {
+    this.length += 1
+
+    if (token.type === 'binary') {
+      this.binary = token.data
+      return
+    }
+
+    if (token.type === 'line') {
+      if (this.onRecord == null) {
+        this.lines.push(token.line + '\n')
+      }
+
+      // The response can not be trusted if it contains something else.
+      if (token.line !== '') {
+        this._valid = false
+      }
+      return
+    }
+
+    const key = token.key
+    const value = token.value
+
+    if (this.onRecord == null) {
+      this.lines.push(key + ': ' + value + '\n')
+    }
+
+    if (!this._valid) return
+
+    const isRecordKey = this.recordKeys.has(key)
+
+    if (this._record == null || (isRecordKey && this._recordHasKey)) {
+      this._flush()
+      this._record = {}
+      this._recordHasKey = false
+    }
+    if (isRecordKey) {
+      this._recordHasKey = true
+    }
+
+    if (this.onRecord == null) {
+      addValue(this.data, key, value)
+    }
+    addValue(this._record, key, value)
+  }
+
+  /**
+   * @param {String} status The OK, ACK or list_OK line, without newline.
+   * @return {Object} `{data, records, status, full}`, and `binary` if there
+   *                  was a binary payload.
+   */
+  finish(status) {
+    this._flush()
+
+    const response = {
+      data: this._valid ? this.data : {},
+      records: this._valid ? this.records : [],
+      status: status,
+      full: this.lines.join('') + status + '\n',
+    }
+
+    if (this.binary != null) {
+      response.binary = this.binary
+    }
+
+    return response
+  }
+
+  _flush() {
+    if (this._record == null) return
+
+    if (this.onRecord != null) {
+      this.onRecord(this._record)
+    }
+    else {
+      this.records.push(this._record)
+    }
+
+    this._record = null
+  }
+
+}
+
+
+/**
+ * Returns the keys that start a new record in the response to a command.
+ *
+ * @param {String} command A command line, or a command list. The response to
+ *                         a command list is split at the keys of all its
+ *                         commands, unless `index` is given.
+ * @param {Number} [index] The command in the list, for command_list_ok_begin.
+ * @return {Set}
+ */
+function recordKeys(command, index) {
+  const lines = command.split('\n')
+
+  if (!LIST_BEGIN.test(lines[0])) {
+    return commandRecordKeys(lines[0])
+  }
+
+  const commands = lines.slice(1, lines.indexOf('command_list_end'))
+
+  if (index != null) {
+    return commandRecordKeys(commands[index] || '')
+  }
+
+  const keys = new Set()
+  for (const line of commands) {
+    commandRecordKeys(line).forEach(key => keys.add(key))
+  }
+  return keys
+}
+
+function commandRecordKeys(line) {
+  const name = line.split(' ', 1)[0]
+
+  return COMMAND_RECORD_KEYS.hasOwnProperty(name) ? COMMAND_RECORD_KEYS[name] : RECORD_KEYS
+}
+
+/**
+ * Adds a value to an object, turning repeated keys into arrays.
+ *
+ * @param {Object} obj
+ * @param {String} key
+ * @param {String} val
+ */
+function addValue(obj, key, val) {
+  if (obj[key] == null) {
+    obj[key] = val
+  }
+  else if (Array.isArray(obj[key])) {
+    obj[key].push(val)
+  }
+  else {
+    obj[key] = [obj[key], val]
+  }
+}
+
+
+exports.RECORD_KEYS = RECORD_KEYS
+exports.Parser = Parser
+exports.ResponseBuilder = ResponseBuilder
+exports.recordKeys = recordKeys
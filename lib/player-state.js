@@ -0,0 +1,227 @@
+'use strict'
+
+const EventEmitter = require('events')
+
+const noop = require('@rdcl/noop')
+
+const listen = require('./listen')
+const schema = require('./schema')
+
+const $client = Symbol('client')
+const $unlisten = Symbol('unlisten')
+const $updatedAt = Symbol('updatedAt')
+const $updating = Symbol('updating')
+
+// The fields from status that are emitted together as "optionschange".
+const OPTIONS = ['repeat', 'random', 'single', 'consume', 'xfade']
+
+
+class PlayerState extends EventEmitter {
+
+  /**
+   * Keeps track of the status and the current song of an MPClient. Values
+   * are always typed (see lib/schema.js), regardless of `client.typed`.
+   *
+   * The state is refreshed when the client emits "changed:player",
+   * "changed:mixer" or "changed:options", so the client has to be watching
+   * (or use a dual connection). Only player changes fetch the current song
+   * again. Call `refresh()` once to get the initial state.
+   *
+   * Events, with the new and the old value:
+   *
+   *  - songchange:    When another song starts, or the queue ends.
+   *  - statechange:   "play", "pause" or "stop".
+   *  - volumechange:  The volume, -1 if there is no mixer.
+   *  - optionschange: `{repeat, random, single, consume, xfade}`.
+   *
+   * After each of those, and after refreshes that changed none of them,
+   * like seeking, it emits "update" without arguments. If a refresh that was
+   * triggered by the client fails, it emits "error", but only if there are
+   * listeners for it.
+   *
+   * @param {MPClient} client
+   */
+  constructor(client) {
+    super()
+
+    this.status = null
+    this.song = null
+    this[$client] = client
+    this[$updatedAt] = 0
+    this[$updating] = null
+    this[$unlisten] = listen(client, {
+      'changed:player': () => _update(this, true),
+      'changed:mixer': () => _update(this, false),
+      'changed:options': () => _update(this, false),
+      'reconnected': () => _update(this, true),
+    }, this)
+  }
+
+  /**
+   * @return {String} "play", "pause" or "stop", or null before the first refresh.
+   */
+  get state() {
+    return this.status == null ? null : this.status.state
+  }
+
+  /**
+   * @return {Number}
+   */
+  get volume() {
+    return this.status == null ? null : this.status.volume
+  }
+
+  /**
+   * @return {Object} `{repeat, random, single, consume, xfade}`
+   */
+  get options() {
+    return _options(this.status)
+  }
+
+  /**
+   * The elapsed time of the current song in seconds. While playing, this
+   * advances with the clock between updates from MPD.
+   *
+   * @return {Number} Or null if there is no current song.
+   */
+  get elapsed() {
+    const status = this.status
+
+    if (status == null || typeof status.elapsed !== 'number') {
+      return null
+    }
+
+    if (status.state !== 'play') {
+      return status.elapsed
+    }
+
+    const elapsed = status.elapsed + (Date.now() - this[$updatedAt]) / 1000
+
+    return typeof status.duration === 'number'
+      ? Math.min(elapsed, status.duration)
+      : elapsed
+  }
+
+  /**
+   * Fetches the status and the current song.
+   *
+   * @return {Promise} Resolves with this PlayerState.
+   */
+  refresh() {
+    return _update(this, true).then(() => this)
+  }
+
+  /**
+   * Stops listening to the client.
+   */
+  close() {
+    this[$unlisten]()
+  }
+
+}
+
+module.exports = PlayerState
+
+
+/**
+ * Fetches the status, and the current song if needed, and emits events for
+ * the differences. Updates that are requested while one is running are
+ * combined into a single update after it.
+ *
+ * @param {PlayerState} playerState
+ * @param {Boolean}     withSong
+ * @return {Promise}
+ */
+function _update(playerState, withSong) {
+  const current = playerState[$updating]
+
+  if (current != null) {
+    if (current.next == null) {
+      const next = {withSong, promise: null}
+      next.promise = current.promise.catch(noop).then(() => _update(playerState, next.withSong))
+      current.next = next
+    }
+    else {
+      current.next.withSong = current.next.withSong || withSong
+    }
+
+    return current.next.promise
+  }
+
+  const client = playerState[$client]
+  const requests = [client.command('status')]
+  if (withSong) {
+    requests.push(client.command('currentsong'))
+  }
+
+  const updating = {next: null, promise: null}
+  playerState[$updating] = updating
+
+  updating.promise = Promise.all(requests)
+    .then(responses => {
+      playerState[$updating] = null
+
+      const status = schema.coerce(responses[0].data, 'status')
+      const song = !withSong
+        ? playerState.song
+        : responses[1].data.file == null ? null : schema.coerce(responses[1].data)
+
+      _apply(playerState, status, song)
+    }, err => {
+      playerState[$updating] = null
+      throw err
+    })
+
+  return updating.promise
+}
+
+/**
+ * Stores the new status and song, and emits events for what changed.
+ *
+ * @param {PlayerState} playerState
+ * @param {Object}      status
+ * @param {Object}      song
+ */
+function _apply(playerState, status, song) {
+  const oldStatus = playerState.status
+  const oldSong = playerState.song
+
+  playerState.status = status
+  playerState.song = song
+  playerState[$updatedAt] = Date.now()
+
+  if (oldStatus == null || status.songid !== oldStatus.songid || _file(song) !== _file(oldSong)) {
+    playerState.emit('songchange', song, oldSong)
+  }
+
+  if (oldStatus == null || status.state !== oldStatus.state) {
+    playerState.emit('statechange', status.state, oldStatus == null ? null : oldStatus.state)
+  }
+
+  if (oldStatus == null || status.volume !== oldStatus.volume) {
+    playerState.emit('volumechange', status.volume, oldStatus == null ? null : oldStatus.volume)
+  }
+
+  const options = _options(status)
+  const oldOptions = _options(oldStatus)
+  if (oldOptions == null || OPTIONS.some(key => options[key] !== oldOptions[key])) {
+    playerState.emit('optionschange', options, oldOptions)
+  }
+
+  playerState.emit('update')
+}
+
+function _options(status) {
+  if (status == null) return null
+
+  const options = {}
+  for (const key of OPTIONS) {
+    options[key] = status[key]
+  }
+
+  return options
+}
+
+function _file(song) {
+  return song == null ? null : song.file
+}
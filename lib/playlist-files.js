@@ -0,0 +1,239 @@
+'use strict'
+
+const path = require('path').posix
+
+// Anything like "http://", but not "file://", is a stream and left alone.
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i
+const FILE_URL_PATTERN = /^file:\/\//i
+const WINDOWS_PATH_PATTERN = /^[a-z]:\//i
+
+
+/**
+ * Parses an M3U, extended M3U or PLS playlist.
+ *
+ * @param {String} text
+ * @param {String} [format] "m3u", "m3u8" (the same) or "pls". Detected from
+ *                          the content if not given.
+ * @return {Array} `{uri, title, duration}` for each entry. The uri is as it
+ *                 appears in the file, see `resolveUri()`. The title and
+ *                 duration are null if the file does not contain them.
+ */
+function parse(text, format) {
+  // Strip a byte order mark.
+  text = text.replace(/^\uFEFF/, '')
+
+  if (format == null) {
+    format = /^\s*\[playlist\]/i.test(text) ? 'pls' : 'm3u'
+  }
+
+  if (format === 'pls') return parsePLS(text)
+  if (format === 'm3u' || format === 'm3u8') return parseM3U(text)
+
+  throw new Error('Unknown playlist format: "' + format + '"')
+}
+
+function parseM3U(text) {
+  const entries = []
+  let info = null
+
+  for (let line of text.split(/\r?\n/)) {
+    line = line.trim()
+
+    if (line.startsWith('#EXTINF:')) {
+      // #EXTINF:<seconds>,<title>
+      const i = line.indexOf(',')
+      const duration = parseInt(line.substring(8, i === -1 ? line.length : i), 10)
+
+      info = {
+        title: i === -1 ? null : line.substring(i + 1).trim() || null,
+        duration: isNaN(duration) || duration < 0 ? null : duration,
+      }
+    }
+    else if (line && !line.startsWith('#')) {
+      entries.push({
+        uri: line,
+        title: info == null ? null : info.title,
+        duration: info == null ? null : info.duration,
+      })
+      info = null
+    }
+  }
+
+  return entries
+}
+
+function parsePLS(text) {
+  const entries = []
+
+  for (const line of text.split(/\r?\n/)) {
+    // File1=..., Title1=..., Length1=...
+    const match = /^\s*(file|title|length)(\d+)\s*=(.*)$/i.exec(line)
+    if (match == null) continue
+
+    const n = parseInt(match[2], 10)
+    const value = match[3].trim()
+    const entry = entries[n] || (entries[n] = {uri: null, title: null, duration: null})
+
+    switch (match[1].toLowerCase()) {
+      case 'file':
+        entry.uri = value
+        break
+      case 'title':
+        entry.title = value || null
+        break
+      case 'length': {
+        const duration = parseInt(value, 10)
+        entry.duration = isNaN(duration) || duration < 0 ? null : duration
+        break
+      }
+    }
+  }
+
+  return entries.filter(entry => entry != null && entry.uri)
+}
+
+/**
+ * Resolves a location from a playlist file to a URI MPD understands.
+ *
+ *  - URLs of streams are kept as they are.
+ *  - file:// URLs and paths with backslashes are converted to plain paths.
+ *  - Relative paths are relative to `baseDir`, the directory of the
+ *    playlist file. Without `baseDir`, they are taken as relative to the
+ *    music directory already.
+ *  - Absolute paths inside `musicDirectory` are made relative to it.
+ *
+ * Absolute paths outside the music directory are returned as they are. MPD
+ * only accepts those from local clients.
+ *
+ * @param {String} location
+ * @param {Object} [options]
+ * @param {String} [options.baseDir]
+ * @param {String} [options.musicDirectory]
+ * @return {String}
+ */
+function resolveUri(location, options) {
+  options = options || {}
+
+  if (FILE_URL_PATTERN.test(location)) {
+    location = decodeURIComponent(location.replace(FILE_URL_PATTERN, '').replace(/^localhost\//i, '/'))
+  }
+  else if (URL_PATTERN.test(location)) {
+    return location
+  }
+
+  let file = location.replace(/\\/g, '/')
+
+  if (!isAbsolute(file) && options.baseDir != null) {
+    file = path.join(options.baseDir.replace(/\\/g, '/'), file)
+  }
+
+  file = path.normalize(file)
+
+  if (options.musicDirectory != null) {
+    const musicDirectory = path.normalize(options.musicDirectory.replace(/\\/g, '/')).replace(/\/?$/, '/')
+
+    if (file.startsWith(musicDirectory)) {
+      return file.substring(musicDirectory.length)
+    }
+  }
+
+  return file.replace(/^\.\//, '')
+}
+
+function isAbsolute(file) {
+  return file.startsWith('/') || WINDOWS_PATH_PATTERN.test(file)
+}
+
+/**
+ * Formats songs as an M3U playlist.
+ *
+ * @param {Array}   songs              Records as returned by MPD, e.g. from playlistinfo.
+ * @param {Object}  [options]
+ * @param {Boolean} [options.extended=true]   Add #EXTINF lines with the duration and title.
+ * @param {String}  [options.musicDirectory] Write absolute paths instead of URIs.
+ * @return {String}
+ */
+function formatM3U(songs, options) {
+  options = options || {}
+
+  const extended = options.extended !== false
+  const lines = extended ? ['#EXTM3U'] : []
+
+  for (const song of songs) {
+    if (extended) {
+      const duration = songDuration(song)
+      lines.push('#EXTINF:' + (duration == null ? -1 : duration) + ',' + songTitle(song))
+    }
+    lines.push(songLocation(song, options.musicDirectory))
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Formats songs as a PLS playlist.
+ *
+ * @param {Array}  songs
+ * @param {Object} [options]
+ * @param {String} [options.musicDirectory] Write absolute paths instead of URIs.
+ * @return {String}
+ */
+function formatPLS(songs, options) {
+  options = options || {}
+
+  const lines = ['[playlist]']
+
+  songs.forEach((song, i) => {
+    const n = i + 1
+    const duration = songDuration(song)
+
+    lines.push('File' + n + '=' + songLocation(song, options.musicDirectory))
+    lines.push('Title' + n + '=' + songTitle(song))
+    lines.push('Length' + n + '=' + (duration == null ? -1 : duration))
+  })
+
+  lines.push('NumberOfEntries=' + songs.length, 'Version=2')
+
+  return lines.join('\n') + '\n'
+}
+
+// Songs can be raw or typed records, and tags can be repeated.
+function songValue(song, keys) {
+  for (const key of keys) {
+    const value = song[key]
+    if (value != null) {
+      return Array.isArray(value) ? value[0] : value
+    }
+  }
+
+  return null
+}
+
+function songDuration(song) {
+  const duration = parseFloat(songValue(song, ['duration', 'Time', 'time']))
+  return isNaN(duration) ? null : Math.round(duration)
+}
+
+function songTitle(song) {
+  const artist = songValue(song, ['Artist', 'artist'])
+  const title = songValue(song, ['Title', 'title', 'Name', 'name'])
+
+  if (artist != null && title != null) return artist + ' - ' + title
+  if (title != null) return title
+
+  return path.basename(song.file)
+}
+
+function songLocation(song, musicDirectory) {
+  if (musicDirectory == null || URL_PATTERN.test(song.file) || song.file.startsWith('/')) {
+    return song.file
+  }
+
+  return path.join(musicDirectory, song.file)
+}
+
+
+exports.formatM3U = formatM3U
+exports.formatPLS = formatPLS
+exports.parse = parse
+exports.resolveUri = resolveUri
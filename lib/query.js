@@ -0,0 +1,311 @@
+'use strict'
+
+const $options = Symbol('options')
+const $promise = Symbol('promise')
+const $run = Symbol('run')
+
+// Tags and the special keywords like "modified-since".
+const TAG_PATTERN = /^[A-Za-z][\w-]*$/
+
+
+class Filter {
+
+  /**
+   * A filter expression, built with the functions in this module, e.g.
+   * `and(eq('Artist', 'Queen'), contains('Album', 'live'))`.
+   *
+   * Besides the expression for MPD 0.21 and newer, a filter keeps the
+   * `{TYPE} {WHAT}` pairs for older servers if it can be written like that,
+   * which is only the case for an AND of comparisons with the same operator.
+   *
+   * @param {String} expression
+   * @param {Array}  legacy   `[tag, operator, value]` for each pair, or null.
+   *                          The operator is null for base and modified-since.
+   * @param {Array}  features Features other than filterExpressions it needs.
+   */
+  constructor(expression, legacy, features) {
+    this.expression = expression
+    this.legacy = legacy
+    this.features = features
+  }
+
+  /**
+   * @param {String} operator "==" for find, "contains" for search.
+   * @return {Array} The {TYPE} {WHAT} arguments, or null if the filter can
+   *                 not be written like that.
+   */
+  toLegacy(operator) {
+    if (this.legacy == null) return null
+
+    const args = []
+
+    for (const pair of this.legacy) {
+      if (pair[1] != null && pair[1] !== operator) return null
+
+      args.push(pair[0], pair[2])
+    }
+
+    return args
+  }
+
+  toString() {
+    return this.expression
+  }
+
+}
+
+
+class Query {
+
+  /**
+   * The result of `find()` and `search()`. It is a promise for the records,
+   * which can be sorted and windowed before it is sent:
+   *
+   *     mpc.find(q.eq('Artist', 'Queen')).sort('-Date').window(0, 50)
+   *
+   * The command is only sent when the query is first awaited, or `then()`,
+   * `catch()` or `finally()` is called. A query nobody waits for is never
+   * sent, so its errors can not go unhandled.
+   *
+   * @param {Function} run Called with `{sort, window}`, returns a promise.
+   */
+  constructor(run) {
+    this[$run] = run
+    this[$options] = {sort: null, window: null}
+    this[$promise] = null
+  }
+
+  /**
+   * Sorts by a tag, or descending if the tag starts with "-". Needs MPD 0.21.
+   *
+   * @param {String} tag
+   * @return {Query} this
+   */
+  sort(tag) {
+    checkUnsent(this)
+    this[$options].sort = tag
+    return this
+  }
+
+  /**
+   * Only returns the records from start up to (not including) end. Needs
+   * MPD 0.20.
+   *
+   * @param {Number} start
+   * @param {Number} [end]
+   * @return {Query} this
+   */
+  window(start, end) {
+    checkUnsent(this)
+    this[$options].window = [start, end]
+    return this
+  }
+
+  then(onFulfilled, onRejected) {
+    return send(this).then(onFulfilled, onRejected)
+  }
+
+  catch(onRejected) {
+    return send(this).catch(onRejected)
+  }
+
+  finally(onFinally) {
+    return send(this).finally(onFinally)
+  }
+
+}
+
+function checkUnsent(query) {
+  if (query[$promise] != null) {
+    throw new Error('The query has already been sent')
+  }
+}
+
+function send(query) {
+  if (query[$promise] == null) {
+    query[$promise] = query[$run](query[$options])
+  }
+
+  return query[$promise]
+}
+
+
+/**
+ * Quotes a value inside a filter expression. The expression as a whole is
+ * escaped again when it is sent.
+ *
+ * @param {*} value
+ * @return {String}
+ */
+function quote(value) {
+  return '"' + String(value).replace(/[\\"]/g, '\\$&') + '"'
+}
+
+function checkTag(tag) {
+  if (typeof tag !== 'string' || !TAG_PATTERN.test(tag)) {
+    throw new TypeError('Invalid tag: ' + JSON.stringify(tag))
+  }
+}
+
+function compare(tag, operator, value, legacy, features) {
+  checkTag(tag)
+
+  return new Filter(
+    '(' + tag + ' ' + operator + ' ' + quote(value) + ')',
+    legacy ? [[tag, operator, value]] : null,
+    features || []
+  )
+}
+
+/**
+ * @param {String} tag   A tag, or "any" or "file".
+ * @param {*}      value
+ * @return {Filter} `(tag == "value")`
+ */
+function eq(tag, value) {
+  return compare(tag, '==', value, true)
+}
+
+/**
+ * @param {String} tag
+ * @param {*}      value
+ * @return {Filter} `(tag != "value")`
+ */
+function ne(tag, value) {
+  return compare(tag, '!=', value, false)
+}
+
+/**
+ * @param {String} tag
+ * @param {*}      value
+ * @return {Filter} `(tag contains "value")`
+ */
+function contains(tag, value) {
+  return compare(tag, 'contains', value, true)
+}
+
+/**
+ * Needs MPD 0.24.
+ *
+ * @param {String} tag
+ * @param {*}      value
+ * @return {Filter} `(tag starts_with "value")`
+ */
+function startsWith(tag, value) {
+  return compare(tag, 'starts_with', value, false, ['startsWith'])
+}
+
+/**
+ * @param {String} tag
+ * @param {String} pattern A Perl compatible regular expression.
+ * @return {Filter} `(tag =~ "pattern")`
+ */
+function match(tag, pattern) {
+  return compare(tag, '=~', pattern, false)
+}
+
+/**
+ * @param {String} tag
+ * @param {String} pattern
+ * @return {Filter} `(tag !~ "pattern")`
+ */
+function notMatch(tag, pattern) {
+  return compare(tag, '!~', pattern, false)
+}
+
+/**
+ * @param {String} uri A directory in the database.
+ * @return {Filter} `(base "uri")`
+ */
+function base(uri) {
+  return new Filter('(base ' + quote(uri) + ')', [['base', null, uri]], [])
+}
+
+/**
+ * @param {Date|String} time A Date, or a timestamp in ISO 8601 or seconds.
+ * @return {Filter} `(modified-since "time")`
+ */
+function modifiedSince(time) {
+  if (time instanceof Date) {
+    time = time.toISOString().replace(/\.\d+Z$/, 'Z')
+  }
+
+  return new Filter('(modified-since ' + quote(time) + ')', [['modified-since', null, time]], [])
+}
+
+/**
+ * @param {...Filter} filters
+ * @return {Filter} `(A AND B ...)`, or the filter itself if there is one.
+ */
+function and() {
+  const filters = Array.prototype.slice.call(arguments)
+
+  if (filters.length === 0) {
+    throw new TypeError('and() needs at least one filter')
+  }
+  for (const filter of filters) {
+    if (!(filter instanceof Filter)) {
+      throw new TypeError('Expected a filter, got ' + filter)
+    }
+  }
+
+  if (filters.length === 1) return filters[0]
+
+  const legacy = filters.every(filter => filter.legacy != null)
+    ? [].concat.apply([], filters.map(filter => filter.legacy))
+    : null
+  const features = [].concat.apply([], filters.map(filter => filter.features))
+
+  return new Filter(
+    '(' + filters.map(String).join(' AND ') + ')',
+    legacy,
+    Array.from(new Set(features))
+  )
+}
+
+/**
+ * @param {Filter} filter
+ * @return {Filter} `(!filter)`
+ */
+function not(filter) {
+  if (!(filter instanceof Filter)) {
+    throw new TypeError('Expected a filter, got ' + filter)
+  }
+
+  return new Filter('(!' + filter + ')', null, filter.features)
+}
+
+/**
+ * Converts {tag: value} pairs to a filter, comparing each tag with the same
+ * operator.
+ *
+ * @param {Object} obj
+ * @param {String} operator "==" or "contains".
+ * @return {Filter} Or null if the object is empty.
+ */
+function fromObject(obj, operator) {
+  const filters = Object.keys(obj).map(tag => {
+    if (tag === 'base') return base(obj[tag])
+    if (tag === 'modified-since') return modifiedSince(obj[tag])
+
+    return compare(tag, operator, obj[tag], true)
+  })
+
+  return filters.length === 0 ? null : and.apply(null, filters)
+}
+
+
+exports.Filter = Filter
+exports.Query = Query
+exports.and = and
+exports.base = base
+exports.contains = contains
+exports.eq = eq
+exports.fromObject = fromObject
+exports.match = match
+exports.modifiedSince = modifiedSince
+exports.ne = ne
+exports.not = not
+exports.notMatch = notMatch
+exports.quote = quote
+exports.startsWith = startsWith
@@ -0,0 +1,278 @@
+'use strict'
+
+const EventEmitter = require('events')
+
+const noop = require('@rdcl/noop')
+
+const listen = require('./listen')
+const schema = require('./schema')
+
+const $client = Symbol('client')
+const $pending = Symbol('pending')
+const $unlisten = Symbol('unlisten')
+
+// Above this many changed positions, a single "reset" is emitted instead of
+// an event per song, e.g. after shuffling a large queue.
+const RESET_THRESHOLD = 1000
+
+
+class QueueMirror extends EventEmitter {
+
+  /**
+   * Keeps a local copy of the queue (the current playlist) of an MPClient.
+   * Songs are always typed (see lib/schema.js). They have no `pos`, because
+   * that changes for every song after an insert; the index in `songs` is the
+   * position.
+   *
+   * After each "changed:playlist" event, only the changes since the last
+   * known playlist version are fetched. `plchangesposid` is used first, which
+   * is enough for songs that were removed or moved. Only if songs were added
+   * or changed, the full info is fetched with `plchanges`. The client has to
+   * be watching (or use a dual connection) for the events to arrive.
+   *
+   * Events, with indexes as they are at the time of the event, so applying
+   * them in order to a copy of the songs gives the same result:
+   *
+   *  - insert (song, index)
+   *  - remove (song, index)
+   *  - move   (song, from, to)
+   *  - update (song, index, oldSong)
+   *  - reset  (songs): after the first load, or if too much changed.
+   *  - error  (err): if a sync that was triggered by the client failed.
+   *    Only emitted if there are listeners for it.
+   *
+   * @param {MPClient} client
+   */
+  constructor(client) {
+    super()
+
+    this.songs = []
+    this.version = null
+    this[$client] = client
+    this[$pending] = Promise.resolve()
+    this[$unlisten] = listen(client, {
+      'changed:playlist': () => this.sync(),
+      'reconnected': () => this.refresh(),
+    }, this)
+  }
+
+  /**
+   * Fetches the whole queue.
+   *
+   * @return {Promise} Resolves with the songs.
+   */
+  refresh() {
+    return _enqueue(this, _reload)
+  }
+
+  /**
+   * Fetches the changes since the last known version. Falls back to fetching
+   * the whole queue if there is no known version yet.
+   *
+   * @return {Promise} Resolves with the songs.
+   */
+  sync() {
+    return _enqueue(this, _sync)
+  }
+
+  /**
+   * Stops listening to the client.
+   */
+  close() {
+    this[$unlisten]()
+  }
+
+}
+
+module.exports = QueueMirror
+
+
+/**
+ * Runs syncs one after another, so each one starts from the result of the
+ * previous one.
+ *
+ * @param {QueueMirror} mirror
+ * @param {Function}    fn
+ * @return {Promise}
+ */
+function _enqueue(mirror, fn) {
+  const result = mirror[$pending].then(() => fn(mirror)).then(() => mirror.songs)
+  mirror[$pending] = result.catch(noop)
+
+  return result
+}
+
+function _reload(mirror) {
+  return mirror[$client].commandList(['status', 'playlistinfo']).then(responses => {
+    _apply(mirror, schema.coerce(responses[0].data, 'status'), responses[1].records.map(_song))
+  })
+}
+
+function _sync(mirror) {
+  const client = mirror[$client]
+  const version = mirror.version
+
+  if (version == null) {
+    return _reload(mirror)
+  }
+
+  return client.commandList(['status', ['plchangesposid', version]]).then(responses => {
+    const status = schema.coerce(responses[0].data, 'status')
+
+    if (status.playlist === version) return
+
+    // The version goes back to 0 if MPD restarts.
+    if (status.playlist < version) {
+      return _reload(mirror)
+    }
+
+    const changes = responses[1].records.map(record => ({
+      pos: parseInt(record.cpos, 10),
+      id: parseInt(record.Id, 10),
+    }))
+    const known = new Map(mirror.songs.map(song => [song.id, song]))
+
+    // New songs, and songs that changed without moving, need the full info.
+    const needInfo = changes.some(change => {
+      const current = mirror.songs[change.pos]
+      return !known.has(change.id) || (current != null && current.id === change.id)
+    })
+
+    if (!needInfo) {
+      return _applyChanges(mirror, status, changes.map(change => ({
+        pos: change.pos,
+        song: known.get(change.id),
+      })))
+    }
+
+    return client.commandList(['status', ['plchanges', version]]).then(responses => {
+      return _applyChanges(mirror, schema.coerce(responses[0].data, 'status'), responses[1].records.map(record => ({
+        pos: parseInt(record.Pos, 10),
+        song: _song(record),
+      })))
+    })
+  })
+}
+
+/**
+ * Applies the changes from plchanges(posid) to the known songs.
+ *
+ * @param {QueueMirror} mirror
+ * @param {Object}      status
+ * @param {Array}       changed `{pos, song}` for each changed position.
+ * @return {Promise|undefined}
+ */
+function _applyChanges(mirror, status, changed) {
+  const songs = mirror.songs.slice(0, status.playlistlength)
+
+  for (const change of changed) {
+    songs[change.pos] = change.song
+  }
+
+  // Something is missing if the queue changed again in between, so start over.
+  for (let i = 0; i < status.playlistlength; i += 1) {
+    if (songs[i] == null) return _reload(mirror)
+  }
+
+  _apply(mirror, status, songs)
+}
+
+/**
+ * Replaces the known songs with the new list, and emits events for the
+ * differences.
+ *
+ * @param {QueueMirror} mirror
+ * @param {Object}      status
+ * @param {Array}       target The complete new list of songs.
+ */
+function _apply(mirror, status, target) {
+  const songs = mirror.songs
+  let changed = Math.abs(songs.length - target.length)
+
+  for (let i = 0; i < target.length && changed <= RESET_THRESHOLD; i += 1) {
+    if (songs[i] == null || songs[i].id !== target[i].id) {
+      changed += 1
+    }
+  }
+
+  mirror.version = status.playlist
+
+  if (mirror.songs.length === 0 || changed > RESET_THRESHOLD) {
+    mirror.songs = target
+    mirror.emit('reset', target)
+    return
+  }
+
+  const wanted = new Map(target.map((song, i) => [song.id, i]))
+
+  // Removals first, from the end, so the other indexes stay the same.
+  for (let i = songs.length - 1; i >= 0; i -= 1) {
+    if (!wanted.has(songs[i].id)) {
+      mirror.emit('remove', songs.splice(i, 1)[0], i)
+    }
+  }
+
+  for (let i = 0; i < target.length; i += 1) {
+    const song = target[i]
+
+    // If the song here was moved further down, move it there, instead of
+    // moving every song after it one place up.
+    if (songs[i] != null && songs[i].id !== song.id &&
+        songs[i + 1] != null && songs[i + 1].id === song.id) {
+      const k = wanted.get(songs[i].id)
+      const oldSong = songs.splice(i, 1)[0]
+      const to = Math.min(k, songs.length)
+      songs.splice(to, 0, target[k])
+      _emitMove(mirror, target[k], oldSong, i, to)
+    }
+
+    if (songs[i] != null && songs[i].id === song.id) {
+      const oldSong = songs[i]
+      songs[i] = song
+
+      if (!_sameSong(oldSong, song)) {
+        mirror.emit('update', song, i, oldSong)
+      }
+      continue
+    }
+
+    const from = _indexOfId(songs, song.id, i + 1)
+
+    if (from === -1) {
+      songs.splice(i, 0, song)
+      mirror.emit('insert', song, i)
+    }
+    else {
+      const oldSong = songs.splice(from, 1)[0]
+      songs.splice(i, 0, song)
+      _emitMove(mirror, song, oldSong, from, i)
+    }
+  }
+}
+
+function _emitMove(mirror, song, oldSong, from, to) {
+  mirror.emit('move', song, from, to)
+
+  if (!_sameSong(oldSong, song)) {
+    mirror.emit('update', song, to, oldSong)
+  }
+}
+
+function _indexOfId(songs, id, start) {
+  for (let i = start; i < songs.length; i += 1) {
+    if (songs[i].id === id) return i
+  }
+
+  return -1
+}
+
+function _song(record) {
+  const song = schema.coerce(record)
+  delete song.pos
+
+  return song
+}
+
+function _sameSong(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b)
+}
@@ -0,0 +1,191 @@
+'use strict'
+
+/**
+ * Conversions for well-known fields in MPD responses, keyed by the
+ * normalized key (see `normalizeKey`). Fields that are not listed here, like
+ * most song tags, are left as strings.
+ *
+ * @see http://www.musicpd.org/doc/protocol/command_reference.html
+ */
+const fields = {
+  // status
+  volume: toInt,
+  repeat: toBoolean,
+  random: toBoolean,
+  single: toSingle,
+  consume: toSingle,
+  playlistlength: toInt,
+  song: toInt,
+  songid: toInt,
+  nextsong: toInt,
+  nextsongid: toInt,
+  time: toTime,
+  elapsed: toFloat,
+  duration: toFloat,
+  bitrate: toInt,
+  xfade: toFloat,
+  mixrampdb: toFloat,
+  mixrampdelay: toFloat,
+  audio: toAudioFormat,
+  updatingDb: toInt,
+
+  // stats
+  artists: toInt,
+  albums: toInt,
+  songs: toInt,
+  uptime: toInt,
+  dbPlaytime: toInt,
+  dbUpdate: toUnixDate,
+  playtime: toInt,
+
+  // songs
+  lastModified: toDate,
+  added: toDate,
+  format: toAudioFormat,
+  pos: toInt,
+  id: toInt,
+  prio: toInt,
+
+  // outputs
+  outputid: toInt,
+  outputenabled: toBoolean,
+}
+
+/**
+ * Conversions that only apply to the response to one command. In status,
+ * "playlist" is the version of the queue, but in the records of
+ * listplaylists and lsinfo it is the name of a stored playlist, which stays
+ * a string even if it is "1999".
+ */
+const commandFields = {
+  status: {
+    playlist: toInt,
+  },
+}
+
+// Only values that are numbers as a whole are converted.
+const INT_PATTERN = /^-?\d+$/
+const FLOAT_PATTERN = /^-?\d+(\.\d+)?$/
+
+
+/**
+ * Converts an object from a response (`data` or one of the `records`) to an
+ * object with normalized keys and typed values. Repeated keys stay arrays,
+ * with each value converted.
+ *
+ * @param {Object} obj
+ * @param {String} [command] The command the response is from, e.g. "status".
+ * @return {Object}
+ */
+function coerce(obj, command) {
+  const extra = commandFields.hasOwnProperty(command) ? commandFields[command] : {}
+  const result = {}
+
+  for (const key of Object.keys(obj)) {
+    const name = normalizeKey(key)
+    const convert = extra[name] || fields[name]
+    const val = obj[key]
+
+    if (convert == null) {
+      result[name] = val
+    }
+    else if (Array.isArray(val)) {
+      result[name] = val.map(convert)
+    }
+    else {
+      result[name] = convert(val)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Normalizes a key to camel case, e.g. "Last-Modified" to "lastModified",
+ * "updating_db" to "updatingDb" and "MUSICBRAINZ_TRACKID" to
+ * "musicbrainzTrackid".
+ *
+ * @param {String} key
+ * @return {String}
+ */
+function normalizeKey(key) {
+  const parts = key.split(/[-_ ]+/).filter(part => part.length)
+
+  return parts.map((part, i) => {
+    if (part === part.toUpperCase()) {
+      part = part.toLowerCase()
+    }
+
+    return i === 0
+      ? part[0].toLowerCase() + part.substring(1)
+      : part[0].toUpperCase() + part.substring(1)
+  }).join('')
+}
+
+
+function toInt(val) {
+  return INT_PATTERN.test(val) ? parseInt(val, 10) : val
+}
+
+function toFloat(val) {
+  return FLOAT_PATTERN.test(val) ? parseFloat(val) : val
+}
+
+function toBoolean(val) {
+  return val === '1'
+}
+
+// single and consume can also be "oneshot".
+function toSingle(val) {
+  return val === 'oneshot' ? val : toBoolean(val)
+}
+
+function toDate(val) {
+  const date = new Date(val)
+  return isNaN(date.getTime()) ? val : date
+}
+
+function toUnixDate(val) {
+  return INT_PATTERN.test(val) ? new Date(parseInt(val, 10) * 1000) : val
+}
+
+// The time in status is "elapsed:total", the time of a song is its duration.
+function toTime(val) {
+  const i = val.indexOf(':')
+
+  if (i === -1) {
+    return toInt(val)
+  }
+
+  return {
+    elapsed: toInt(val.substring(0, i)),
+    total: toInt(val.substring(i + 1)),
+  }
+}
+
+// E.g. "44100:16:2", "48000:f:2" or "dsd64:2".
+function toAudioFormat(val) {
+  const parts = val.split(':')
+
+  if (parts.length === 2) {
+    return {
+      sampleRate: toInt(parts[0]),
+      bits: null,
+      channels: toInt(parts[1]),
+    }
+  }
+
+  if (parts.length !== 3) {
+    return val
+  }
+
+  return {
+    sampleRate: toInt(parts[0]),
+    bits: toInt(parts[1]),
+    channels: toInt(parts[2]),
+  }
+}
+
+
+exports.coerce = coerce
+exports.normalizeKey = normalizeKey
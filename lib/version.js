@@ -0,0 +1,99 @@
+'use strict'
+
+/**
+ * The MPD version that introduced each feature the client knows about.
+ *
+ * @see http://www.musicpd.org/doc/protocol/
+ */
+const features = {
+  addtagid: '0.19.0',
+  albumart: '0.21.0',
+  binarylimit: '0.22.4',
+  filterExpressions: '0.21.0',
+  getfingerprint: '0.22.0',
+  getvol: '0.23.0',
+  listfiles: '0.19.0',
+  outputset: '0.21.0',
+  partitions: '0.22.0',
+  playlistlength: '0.24.0',
+  rangeid: '0.19.0',
+  readpicture: '0.22.0',
+  saveMode: '0.24.0',
+  searchplaylist: '0.24.0',
+  singleOneshot: '0.21.0',
+  sort: '0.21.0',
+  startsWith: '0.24.0',
+  window: '0.20.0',
+}
+
+
+class Version {
+
+  /**
+   * A protocol version, as given in the greeting.
+   *
+   * @param {Number} major
+   * @param {Number} minor
+   * @param {Number} patch
+   */
+  constructor(major, minor, patch) {
+    this.major = major
+    this.minor = minor
+    this.patch = patch
+  }
+
+  /**
+   * Parses a version like "0.21.11", or the greeting "OK MPD 0.21.11".
+   *
+   * @param {String} str
+   * @return {Version} Or null if str does not contain a version.
+   */
+  static parse(str) {
+    const match = /(\d+)\.(\d+)(?:\.(\d+))?/.exec(str)
+
+    if (match == null) {
+      return null
+    }
+
+    return new Version(
+      parseInt(match[1], 10),
+      parseInt(match[2], 10),
+      match[3] == null ? 0 : parseInt(match[3], 10)
+    )
+  }
+
+  /**
+   * @param {Version|String} other
+   * @return {Number} Negative if this version is older, positive if it is
+   *                  newer, 0 if they are the same.
+   */
+  compare(other) {
+    if (typeof other === 'string') {
+      other = Version.parse(other)
+    }
+
+    return (this.major - other.major) ||
+      (this.minor - other.minor) ||
+      (this.patch - other.patch)
+  }
+
+  /**
+   * @param {Version|String} other
+   * @return {Boolean}
+   */
+  isAtLeast(other) {
+    return this.compare(other) >= 0
+  }
+
+  /**
+   * @return {String}
+   */
+  toString() {
+    return this.major + '.' + this.minor + '.' + this.patch
+  }
+
+}
+
+
+exports.features = features
+exports.Version = Version
@@ -0,0 +1,180 @@
+'use strict'
+
+const expect = require('chai').expect
+const MPClient = require('..')
+const Version = require('../lib/version').Version
+
+describe('#commands', function () {
+
+  // A client that is never connected, and records the commands instead of
+  // sending them.
+  function recordingClient(serverVersion, response) {
+    const client = new MPClient({})
+
+    client.serverVersion = serverVersion == null ? null : Version.parse(serverVersion)
+    client.commands = []
+    client.command = function () {
+      // Like command(), leave out arguments that are null or undefined.
+      client.commands.push(Array.prototype.slice.call(arguments).filter(arg => arg != null))
+
+      return Promise.resolve(Object.assign({data: {}, records: []}, response))
+    }
+
+    return client
+  }
+
+  it('formats ranges and booleans', function () {
+    const client = recordingClient()
+
+    return Promise.all([
+      client.delete(3),
+      client.delete([3, 5]),
+      client.playlistinfo([10]),
+      client.shuffle([null, 5]),
+      client.consume(true),
+      client.random(false),
+      client.pause(),
+      client.prio(10, [0, 2], 7, [5]),
+      client.rangeid(4),
+      client.rangeid(4, [1.5, 3]),
+    ]).then(() => {
+      expect(client.commands).to.deep.equal([
+        ['delete', 3],
+        ['delete', '3:5'],
+        ['playlistinfo', '10:'],
+        ['shuffle', ':5'],
+        ['consume', 1],
+        ['random', 0],
+        ['pause'],
+        ['prio', 10, '0:2', 7, '5:'],
+        ['rangeid', 4, ':'],
+        ['rangeid', 4, '1.5:3'],
+      ])
+    })
+  })
+
+  it('loads a stored playlist at a position without a window', function () {
+    const client = recordingClient()
+
+    return Promise.all([
+      client.load('favourites'),
+      client.load('favourites', null, 2),
+      client.load('favourites', [5, 10], 2),
+    ]).then(() => {
+      expect(client.commands).to.deep.equal([
+        ['load', 'favourites'],
+        ['load', 'favourites', '0:', 2],
+        ['load', 'favourites', '5:10', 2],
+      ])
+    })
+  })
+
+  it('sends subcommands', function () {
+    const client = recordingClient()
+
+    return Promise.all([
+      client.tagtypesEnable('Artist', 'Title'),
+      client.tagtypesClear(),
+      client.stickerSet('song', 'a.mp3', 'rating', '5'),
+      client.stickerDelete('song', 'a.mp3'),
+      client.mount('nas', 'nfs://server/music'),
+    ]).then(() => {
+      expect(client.commands).to.deep.equal([
+        ['tagtypes', 'enable', 'Artist', 'Title'],
+        ['tagtypes', 'clear'],
+        ['sticker', 'set', 'song', 'a.mp3', 'rating', '5'],
+        ['sticker', 'delete', 'song', 'a.mp3'],
+        ['mount', 'nas', 'nfs://server/music'],
+      ])
+    })
+  })
+
+  it('parses stickers', function () {
+    const get = recordingClient(null, {data: {sticker: 'rating=a=b'}})
+    const list = recordingClient(null, {data: {sticker: ['rating=5', 'played=2']}})
+    const find = recordingClient(null, {records: [{file: 'a.mp3', sticker: 'rating=5'}]})
+
+    return Promise.all([
+      get.stickerGet('song', 'a.mp3', 'rating'),
+      list.stickerList('song', 'a.mp3'),
+      find.stickerFind('song', '', 'rating', '>', '3'),
+    ]).then(results => {
+      expect(results).to.deep.equal([
+        'a=b',
+        {rating: '5', played: '2'},
+        [{file: 'a.mp3', value: '5'}],
+      ])
+      expect(find.commands).to.deep.equal([['sticker', 'find', 'song', '', 'rating', '>', '3']])
+    })
+  })
+
+  it('checks the server version for getvol, binarylimit and partitions', function () {
+    const client = recordingClient('0.23.0', {records: [{partition: 'default'}, {partition: 'kitchen'}]})
+    const old = recordingClient('0.21.0')
+    const rejected = err => err
+
+    return Promise.all([
+      client.getvol(),
+      client.binarylimit(8192),
+      client.newpartition('kitchen'),
+      client.moveoutput('Kitchen speakers'),
+      client.listpartitions(),
+      old.getvol().then(null, rejected),
+      old.binarylimit(8192).then(null, rejected),
+      old.partition('kitchen').then(null, rejected),
+    ]).then(results => {
+      expect(client.commands).to.deep.equal([
+        ['getvol'],
+        ['binarylimit', 8192],
+        ['newpartition', 'kitchen'],
+        ['moveoutput', 'Kitchen speakers'],
+        ['listpartitions'],
+      ])
+      expect(results[4]).to.deep.equal(['default', 'kitchen'])
+
+      expect(results.slice(5).map(err => err.feature)).to.deep.equal(['getvol', 'binarylimit', 'partitions'])
+      expect(old.commands).to.deep.equal([])
+    })
+  })
+
+  it('imports M3U8 playlists', function () {
+    const client = recordingClient()
+    const text = '#EXTM3U\n#EXTINF:392,Queen - Innuendo\n/srv/music/Queen/01.flac\nhttp://radio.example/stream\n'
+
+    client.commandList = function (commands) {
+      client.commands.push.apply(client.commands, commands)
+      return Promise.resolve([])
+    }
+
+    return client.importPlaylist('party', text, {format: 'm3u8', musicDirectory: '/srv/music'})
+      .then(uris => {
+        expect(uris).to.deep.equal(['Queen/01.flac', 'http://radio.example/stream'])
+        expect(client.commands).to.deep.equal([
+          ['playlistadd', 'party', 'Queen/01.flac'],
+          ['playlistadd', 'party', 'http://radio.example/stream'],
+        ])
+      })
+  })
+
+  it('searches stored playlists on servers that support it', function () {
+    const client = recordingClient('0.24.0')
+    const old = recordingClient('0.23.5')
+
+    return client.searchplaylist('favourites', {Title: 'love'}, [0, 10])
+      .then(() => {
+        expect(client.commands).to.deep.equal([
+          ['searchplaylist', 'favourites', '(Title contains "love")', '0:10'],
+        ])
+
+        return old.searchplaylist('favourites', {Title: 'love'})
+      })
+      .then(() => {
+        throw new Error('Expected an UnsupportedError')
+      }, err => {
+        expect(err).to.be.an.instanceof(MPClient.UnsupportedError)
+        expect(err.feature).to.equal('searchplaylist')
+        expect(old.commands).to.deep.equal([])
+      })
+  })
+
+})
@@ -0,0 +1,185 @@
+'use strict'
+
+const expect = require('chai').expect
+const completion = require('../lib/completion')
+
+const LsinfoCache = completion.LsinfoCache
+
+describe('#completion', function () {
+
+  // A client that answers lsinfo with a song and a directory in each
+  // directory, and records the directories it was asked for.
+  function lsinfoClient() {
+    const client = {dirs: [], error: null}
+
+    client.lsinfo = function (dir) {
+      client.dirs.push(dir)
+
+      if (client.error != null) {
+        return Promise.reject(client.error)
+      }
+
+      const prefix = dir == null ? '' : dir + '/'
+      return Promise.resolve([
+        {directory: prefix + 'Sub dir'},
+        {file: prefix + 'a.mp3'},
+        {playlist: prefix + 'b.m3u'},
+      ])
+    }
+
+    return client
+  }
+
+  it('splits lines into arguments and the one that is being typed', function () {
+    expect(completion.splitLine('')).to.deep.equal({args: [], raw: '', value: ''})
+    expect(completion.splitLine('sta')).to.deep.equal({args: [], raw: 'sta', value: 'sta'})
+    expect(completion.splitLine('add ')).to.deep.equal({args: ['add'], raw: '', value: ''})
+    expect(completion.splitLine('find  Artist  Que')).to.deep.equal({args: ['find', 'Artist'], raw: 'Que', value: 'Que'})
+  })
+
+  it('splits quoted arguments', function () {
+    expect(completion.splitLine('add "Queen/Inn')).to.deep.equal({args: ['add'], raw: '"Queen/Inn', value: 'Queen/Inn'})
+    expect(completion.splitLine('find "Album Artist" "Queen" Ti')).to.deep.equal({
+      args: ['find', 'Album Artist', 'Queen'],
+      raw: 'Ti',
+      value: 'Ti',
+    })
+    expect(completion.splitLine('find Title "Say \\"hi\\" now" ')).to.deep.equal({
+      args: ['find', 'Title', 'Say "hi" now'],
+      raw: '',
+      value: '',
+    })
+    expect(completion.splitLine('add "a b\\\\c d')).to.deep.equal({args: ['add'], raw: '"a b\\\\c d', value: 'a b\\c d'})
+  })
+
+  it('knows the types of arguments', function () {
+    const type = line => completion.argumentType(completion.splitLine(line).args)
+
+    expect(type('add ')).to.equal('uri')
+    expect(type('add a.mp3 ')).to.equal(null)
+    expect(type('load ')).to.equal('playlist')
+    expect(type('playlistadd ')).to.equal('playlist')
+    expect(type('playlistadd party ')).to.equal('uri')
+    expect(type('status ')).to.equal(null)
+    expect(type('hasOwnProperty ')).to.equal(null)
+  })
+
+  it('completes tags at the positions of tag/value pairs', function () {
+    const type = line => completion.argumentType(completion.splitLine(line).args)
+
+    expect(type('find ')).to.equal('tag')
+    expect(type('find Artist ')).to.equal(null)
+    expect(type('find Artist Queen ')).to.equal('tag')
+    expect(type('find Artist "Queen" Album ')).to.equal(null)
+    expect(type('find "Album Artist" "Pink Floyd" ')).to.equal('tag')
+
+    expect(type('list ')).to.equal('tag')
+    expect(type('list Album ')).to.equal('tag')
+    expect(type('list Album Artist ')).to.equal(null)
+    expect(type('list Album Artist Queen ')).to.equal('tag')
+
+    expect(type('searchaddpl ')).to.equal('playlist')
+    expect(type('searchaddpl party ')).to.equal('tag')
+    expect(type('searchaddpl party Title ')).to.equal(null)
+  })
+
+  it('quotes all completions or none', function () {
+    const entries = [
+      {value: 'Queen/', directory: true},
+      {value: 'Queen - Live/', directory: true},
+      {value: 'Queen.mp3', directory: false},
+      {value: 'Pink Floyd/', directory: true},
+    ]
+
+    expect(completion.candidates(entries, completion.splitLine('add Queen.'))).to.deep.equal(['Queen.mp3'])
+    expect(completion.candidates(entries, completion.splitLine('add Que'))).to.deep.equal([
+      '"Queen - Live/',
+      '"Queen.mp3"',
+      '"Queen/',
+    ])
+    expect(completion.candidates(entries, completion.splitLine('add "Queen/'))).to.deep.equal(['"Queen/'])
+    expect(completion.candidates([{value: 'Say "hi".mp3'}], completion.splitLine('add S'))).to.deep.equal([
+      '"Say \\"hi\\".mp3"',
+    ])
+  })
+
+  it('matches possibilities by their prefix', function () {
+    expect(completion.matching(['stop', 'status', 'play', 'stats'], 'st')).to.deep.equal(['stats', 'status', 'stop'])
+  })
+
+  it('looks up the directory of the URI that is being typed', function () {
+    const client = lsinfoClient()
+    const cache = new LsinfoCache(client)
+
+    return Promise.all([
+      cache.entries(''),
+      cache.entries('Queen/Innuendo/In'),
+    ]).then(results => {
+      expect(client.dirs).to.deep.equal([undefined, 'Queen/Innuendo'])
+      expect(results[0]).to.deep.equal([
+        {value: 'Sub dir/', directory: true},
+        {value: 'a.mp3', directory: false},
+        {value: 'b.m3u', directory: false},
+      ])
+      expect(results[1][0]).to.deep.equal({value: 'Queen/Innuendo/Sub dir/', directory: true})
+    })
+  })
+
+  it('keeps the results until they expire', function () {
+    const client = lsinfoClient()
+    let time = 1000
+    const cache = new LsinfoCache(client, {ttl: 100, now: () => time})
+
+    cache.entries('Queen/')
+    cache.entries('Queen/Inn')
+    time += 99
+    cache.entries('Queen/x')
+    expect(client.dirs).to.deep.equal(['Queen'])
+
+    time += 1
+    cache.entries('Queen/')
+    expect(client.dirs).to.deep.equal(['Queen', 'Queen'])
+
+    cache.clear()
+    cache.entries('Queen/')
+    expect(client.dirs).to.deep.equal(['Queen', 'Queen', 'Queen'])
+  })
+
+  it('drops the directory that was used least recently', function () {
+    const client = lsinfoClient()
+    const cache = new LsinfoCache(client, {size: 2})
+
+    cache.entries('a/')
+    cache.entries('b/')
+    cache.entries('a/')
+    cache.entries('c/')
+    expect(client.dirs).to.deep.equal(['a', 'b', 'c'])
+
+    cache.entries('a/')
+    cache.entries('c/')
+    expect(client.dirs).to.deep.equal(['a', 'b', 'c'])
+
+    cache.entries('b/')
+    expect(client.dirs).to.deep.equal(['a', 'b', 'c', 'b'])
+  })
+
+  it('does not keep failed lookups', function () {
+    const client = lsinfoClient()
+    const cache = new LsinfoCache(client)
+
+    client.error = new Error('No such directory')
+
+    return cache.entries('nope/').then(() => {
+      throw new Error('Expected the lookup to fail')
+    }, err => {
+      expect(err.message).to.equal('No such directory')
+
+      client.error = null
+      return cache.entries('nope/')
+    }).then(entries => {
+      expect(client.dirs).to.deep.equal(['nope', 'nope'])
+      expect(entries).to.have.length(3)
+    })
+  })
+
+})
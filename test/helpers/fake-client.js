@@ -0,0 +1,108 @@
+'use strict'
+
+const EventEmitter = require('events')
+
+/**
+ * A stand-in for MPClient, for the tests of PlayerState and QueueMirror.
+ *
+ * It answers status and currentsong with `client.status` and `client.song`,
+ * and the queue commands with `client.queue`, which keeps track of versions
+ * like MPD does: every position that changes gets the new version. The
+ * names of the commands it received are in `client.commands`. If
+ * `client.error` is set, every command is rejected with it.
+ *
+ * @param {Array} [files] The files in the queue.
+ * @return {EventEmitter}
+ */
+function fakeClient(files) {
+  const client = new EventEmitter()
+  let nextId = 1
+
+  client.commands = []
+  client.error = null
+  client.status = {
+    volume: '50',
+    repeat: '0',
+    random: '0',
+    single: '0',
+    consume: '0',
+    state: 'play',
+    songid: '1',
+    elapsed: '10.000',
+    duration: '200.000',
+  }
+  client.song = {file: 'a.mp3', Title: 'A', Id: '1'}
+  client.version = 1
+  client.queue = (files || []).map(file => ({file, id: nextId++, version: 1}))
+
+  function touch(from, to) {
+    client.version += 1
+    for (let i = from; i <= to && i < client.queue.length; i += 1) {
+      client.queue[i].version = client.version
+    }
+    // Like MPClient, emit after the current tick.
+    setImmediate(() => client.emit('changed:playlist'))
+  }
+
+  client.add = function (file, pos) {
+    client.queue.splice(pos, 0, {file, id: nextId++})
+    touch(pos, client.queue.length - 1)
+  }
+  client.delete = function (pos) {
+    client.queue.splice(pos, 1)
+    touch(pos, client.queue.length - 1)
+  }
+  client.move = function (from, to) {
+    client.queue.splice(to, 0, client.queue.splice(from, 1)[0])
+    touch(Math.min(from, to), Math.max(from, to))
+  }
+  client.retag = function (pos, title) {
+    client.queue[pos].title = title
+    touch(pos, pos)
+  }
+
+  function info(song, pos) {
+    const record = {file: song.file, Pos: String(pos), Id: String(song.id)}
+    if (song.title != null) record.Title = song.title
+    return record
+  }
+
+  function respond(command) {
+    const name = Array.isArray(command) ? command[0] : command
+    const since = Array.isArray(command) ? command[1] : 0
+    const changed = client.queue
+      .map((song, pos) => ({song, pos}))
+      .filter(entry => entry.song.version > since)
+
+    client.commands.push(name)
+
+    if (name === 'status') {
+      return {data: Object.assign({}, client.status, {
+        playlist: String(client.version),
+        playlistlength: String(client.queue.length),
+      })}
+    }
+    if (name === 'currentsong') {
+      return {data: Object.assign({}, client.song)}
+    }
+    if (name === 'playlistinfo' || name === 'plchanges') {
+      return {records: changed.map(entry => info(entry.song, entry.pos))}
+    }
+    if (name === 'plchangesposid') {
+      return {records: changed.map(entry => ({cpos: String(entry.pos), Id: String(entry.song.id)}))}
+    }
+
+    throw new Error('Unexpected command: ' + name)
+  }
+
+  client.command = function (command) {
+    return client.error != null ? Promise.reject(client.error) : Promise.resolve(respond(command))
+  }
+  client.commandList = function (commands) {
+    return client.error != null ? Promise.reject(client.error) : Promise.resolve(commands.map(respond))
+  }
+
+  return client
+}
+
+module.exports = fakeClient
@@ -0,0 +1,308 @@
+'use strict'
+
+const expect = require('chai').expect
+const parser = require('../lib/parser')
+
+const Parser = parser.Parser
+const ResponseBuilder = parser.ResponseBuilder
+
+describe('#Parser', function () {
+
+  function readAll(p) {
+    const tokens = []
+    let token
+    while ((token = p.read()) != null) {
+      tokens.push(token)
+    }
+    return tokens
+  }
+
+  // Feeds the data in chunks of the given size, reading in between.
+  function parse(data, chunkSize) {
+    const p = new Parser()
+    const tokens = []
+
+    for (let i = 0; i < data.length; i += chunkSize) {
+      p.push(data.slice(i, i + chunkSize))
+      tokens.push.apply(tokens, readAll(p))
+    }
+
+    return tokens
+  }
+
+  // Parses a response and builds the result, the way MPClient does. If
+  // `onToken` is given, it is called for each token.
+  function build(data, chunkSize, onToken) {
+    const p = new Parser()
+    let response = new ResponseBuilder()
+    let result = null
+
+    for (let i = 0; i < data.length; i += chunkSize) {
+      p.push(data.slice(i, i + chunkSize))
+
+      let token
+      while ((token = p.read()) != null) {
+        if (onToken != null) onToken(token)
+
+        if (token.type === 'end') {
+          result = response.finish(token.status)
+          response = new ResponseBuilder()
+        }
+        else {
+          response.add(token)
+        }
+      }
+    }
+
+    return result
+  }
+
+  it('reads key/value pairs and status lines', function () {
+    const data = Buffer.from('volume: 50\nTitle: a: b\n\nlist_OK\nweird\nOK\nACK [5@0] {} nope\n')
+
+    for (const chunkSize of [1, 3, data.length]) {
+      expect(parse(data, chunkSize)).to.deep.equal([
+        {type: 'pair', key: 'volume', value: '50'},
+        {type: 'pair', key: 'Title', value: 'a: b'},
+        {type: 'line', line: ''},
+        {type: 'end', status: 'list_OK'},
+        {type: 'line', line: 'weird'},
+        {type: 'end', status: 'OK'},
+        {type: 'end', status: 'ACK [5@0] {} nope'},
+      ])
+    }
+  })
+
+  it('keeps multi-byte characters that are split between chunks', function () {
+    const data = Buffer.from('Artist: Björk\nOK\n')
+
+    expect(parse(data, 1)[0]).to.deep.equal({type: 'pair', key: 'Artist', value: 'Björk'})
+  })
+
+  it('reads binary payloads', function () {
+    const payload = Buffer.from([0x0a, 0x00, 0xff, 0x0a, 0x4f, 0x4b, 0x0a])
+    const data = Buffer.concat([
+      Buffer.from('size: 7\nbinary: 7\n'),
+      payload,
+      Buffer.from('\nOK\n'),
+    ])
+
+    for (const chunkSize of [1, 5, data.length]) {
+      const tokens = parse(data, chunkSize)
+
+      expect(tokens.length).to.equal(4)
+      expect(tokens[1]).to.deep.equal({type: 'pair', key: 'binary', value: '7'})
+      expect(tokens[2].type).to.equal('binary')
+      expect(tokens[2].data).to.deep.equal(payload)
+      expect(tokens[3]).to.deep.equal({type: 'end', status: 'OK'})
+    }
+  })
+
+  it('builds responses with data and records', function () {
+    const response = build(Buffer.from([
+      'directory: music',
+      'file: a.mp3',
+      'Artist: A',
+      'Artist: B',
+      'file: b.mp3',
+      'OK',
+      '',
+    ].join('\n')), 4)
+
+    expect(response).to.deep.equal({
+      data: {
+        directory: 'music',
+        file: ['a.mp3', 'b.mp3'],
+        Artist: ['A', 'B'],
+      },
+      records: [
+        {directory: 'music'},
+        {file: 'a.mp3', Artist: ['A', 'B']},
+        {file: 'b.mp3'},
+      ],
+      status: 'OK',
+      full: 'directory: music\nfile: a.mp3\nArtist: A\nArtist: B\nfile: b.mp3\nOK\n',
+    })
+  })
+
+  it('ignores the data of responses it can not parse', function () {
+    const response = build(Buffer.from('foo000: bar\n\nfoo001:bar\nfoo002: bar\nOK\n'), 7)
+
+    expect(response).to.deep.equal({
+      data: {},
+      records: [],
+      status: 'OK',
+      full: 'foo000: bar\n\nfoo001:bar\nfoo002: bar\nOK\n',
+    })
+  })
+
+  it('can hand over records as they are completed', function () {
+    const records = []
+    const response = new ResponseBuilder(record => records.push(record))
+
+    response.add({type: 'pair', key: 'file', value: 'a.mp3'})
+    response.add({type: 'pair', key: 'Title', value: 'A'})
+    expect(records).to.deep.equal([])
+
+    response.add({type: 'pair', key: 'file', value: 'b.mp3'})
+    expect(records).to.deep.equal([{file: 'a.mp3', Title: 'A'}])
+
+    expect(response.finish('OK')).to.deep.equal({data: {}, records: [], status: 'OK', full: 'OK\n'})
+    expect(records).to.deep.equal([{file: 'a.mp3', Title: 'A'}, {file: 'b.mp3'}])
+  })
+
+  it('splits records at the keys of the command', function () {
+    const recordKeys = parser.recordKeys
+    const outputs = new ResponseBuilder(null, recordKeys('outputs'))
+    const status = new ResponseBuilder(null, recordKeys('status'))
+
+    for (const line of [
+      'outputid: 0', 'outputname: ALSA', 'plugin: alsa', 'outputenabled: 1', 'attribute: dop=0',
+      'outputid: 1', 'outputname: Stream', 'plugin: httpd', 'outputenabled: 0',
+    ]) {
+      const i = line.indexOf(': ')
+      outputs.add({type: 'pair', key: line.substring(0, i), value: line.substring(i + 2)})
+    }
+    for (const line of ['partition: default', 'volume: 50', 'playlist: 4', 'file: a.mp3']) {
+      const i = line.indexOf(': ')
+      status.add({type: 'pair', key: line.substring(0, i), value: line.substring(i + 2)})
+    }
+
+    expect(outputs.finish('OK').records).to.deep.equal([
+      {outputid: '0', outputname: 'ALSA', plugin: 'alsa', outputenabled: '1', attribute: 'dop=0'},
+      {outputid: '1', outputname: 'Stream', plugin: 'httpd', outputenabled: '0'},
+    ])
+    expect(status.finish('OK').records).to.have.length(1)
+
+    expect(Array.from(recordKeys('decoders'))).to.deep.equal(['plugin'])
+    expect(Array.from(recordKeys('lsinfo "music"'))).to.deep.equal(['file', 'directory', 'playlist'])
+    expect(Array.from(recordKeys('command_list_ok_begin\nstatus\noutputs\ncommand_list_end\n', 1)))
+      .to.deep.equal(['outputid'])
+    expect(Array.from(recordKeys('command_list_begin\nstatus\noutputs\ncommand_list_end\n')))
+      .to.deep.equal(['outputid'])
+  })
+
+  describe('scaling', function () {
+
+    function listing(bytes) {
+      const lines = []
+      let size = 0
+
+      for (let i = 0; size < bytes; i += 1) {
+        const song = 'file: Artist ' + (i % 100) + '/Album ' + (i % 10) + '/' + i + '.flac\n' +
+          'Last-Modified: 2015-12-01T12:00:00Z\n' +
+          'Title: Song number ' + i + '\n' +
+          'Artist: Artist ' + (i % 100) + '\n' +
+          'Time: 215\n'
+        lines.push(song)
+        size += song.length
+      }
+      lines.push('OK\n')
+
+      return Buffer.from(lines.join(''))
+    }
+
+    function longLine(bytes) {
+      return Buffer.from('comment: ' + 'x'.repeat(bytes) + '\nOK\n')
+    }
+
+    function binary(bytes) {
+      return Buffer.concat([
+        Buffer.from('size: ' + bytes + '\nbinary: ' + bytes + '\n'),
+        Buffer.alloc(bytes, 0x0a),
+        Buffer.from('\nOK\n'),
+      ])
+    }
+
+    // Builds a response like build(), and counts the work along the way: the
+    // bytes copied to join chunks, the bytes searched for newlines and the
+    // tokens read. Copying or searching from the start of the response for
+    // each chunk would make the first two grow quadratically.
+    function work(data, chunkSize) {
+      const concat = Buffer.concat
+      const indexOf = Buffer.prototype.indexOf
+      const counts = {copied: 0, searched: 0, tokens: 0}
+      let response
+
+      Buffer.concat = function () {
+        const result = concat.apply(Buffer, arguments)
+        counts.copied += result.length
+        return result
+      }
+      Buffer.prototype.indexOf = function (value, byteOffset) {
+        const i = indexOf.apply(this, arguments)
+        counts.searched += (i === -1 ? this.length : i + 1) - (byteOffset || 0)
+        return i
+      }
+
+      try {
+        response = build(data, chunkSize, () => counts.tokens += 1)
+      }
+      finally {
+        Buffer.concat = concat
+        Buffer.prototype.indexOf = indexOf
+      }
+
+      expect(response.status).to.equal('OK')
+
+      return counts
+    }
+
+    // The fastest of a few runs, in milliseconds.
+    function time(data, chunkSize) {
+      let best = Infinity
+
+      for (let run = 0; run < 3; run += 1) {
+        const start = process.hrtime()
+        build(data, chunkSize)
+        const elapsed = process.hrtime(start)
+        best = Math.min(best, elapsed[0] * 1e3 + elapsed[1] / 1e6)
+      }
+
+      return best
+    }
+
+    // Compares the work for 1 MiB and 8 MiB, which must grow no more than
+    // the data does.
+    function expectLinear(generate) {
+      const small = generate(1024 * 1024)
+      const large = generate(8 * 1024 * 1024)
+      const ratio = large.length / small.length
+
+      for (const chunkSize of [100, 4096, 64 * 1024]) {
+        const smallWork = work(small, chunkSize)
+        const largeWork = work(large, chunkSize)
+
+        for (const key of ['copied', 'searched', 'tokens']) {
+          expect(largeWork[key], key).to.be.at.most(smallWork[key] * ratio * 1.25)
+        }
+        expect(largeWork.copied).to.be.at.most(2 * large.length)
+      }
+    }
+
+    it('reads a listing in linear time, however it is chunked', function () {
+      this.timeout(30000)
+      expectLinear(listing)
+
+      // The records are built outside the parser, so that is timed as well.
+      // Timings are too noisy to be compared closely, but should still stay
+      // well below the 64 times of quadratic work.
+      const small = listing(1024 * 1024)
+      const large = listing(8 * 1024 * 1024)
+
+      expect(time(large, 4096)).to.be.below(time(small, 4096) * large.length / small.length * 3)
+    })
+
+    it('reads a long line in linear time, however it is chunked', function () {
+      this.timeout(30000)
+      expectLinear(longLine)
+    })
+
+    it('reads a binary payload in linear time, however it is chunked', function () {
+      this.timeout(30000)
+      expectLinear(binary)
+    })
+
+  })
+
+})
@@ -0,0 +1,174 @@
+'use strict'
+
+const expect = require('chai').expect
+const PlayerState = require('../lib/player-state')
+const fakeClient = require('./helpers/fake-client')
+
+describe('#PlayerState', function () {
+
+  function nextEvent(emitter, event) {
+    return new Promise(resolve => emitter.once(event, function () {
+      resolve(Array.prototype.slice.call(arguments))
+    }))
+  }
+
+  it('fetches the status and the current song', function () {
+    const client = fakeClient()
+    const playerState = new PlayerState(client)
+    const events = []
+
+    playerState.on('songchange', song => events.push('songchange'))
+    playerState.on('statechange', state => events.push('statechange'))
+    playerState.on('volumechange', volume => events.push('volumechange'))
+    playerState.on('optionschange', options => events.push('optionschange'))
+
+    return playerState.refresh().then(() => {
+      expect(client.commands).to.deep.equal(['status', 'currentsong'])
+      expect(playerState.state).to.equal('play')
+      expect(playerState.volume).to.equal(50)
+      expect(playerState.song).to.deep.equal({file: 'a.mp3', title: 'A', id: 1})
+      expect(playerState.options).to.deep.equal({
+        repeat: false,
+        random: false,
+        single: false,
+        consume: false,
+        xfade: undefined,
+      })
+      expect(events).to.deep.equal(['songchange', 'statechange', 'volumechange', 'optionschange'])
+    })
+  })
+
+  it('emits events with the old and new values', function () {
+    const client = fakeClient()
+    const playerState = new PlayerState(client)
+
+    return playerState.refresh()
+      .then(() => {
+        client.commands = []
+        client.status.volume = '80'
+        client.emit('changed:mixer')
+
+        return nextEvent(playerState, 'volumechange')
+      })
+      .then(args => {
+        expect(args).to.deep.equal([80, 50])
+        // Only the status is needed for the mixer.
+        expect(client.commands).to.deep.equal(['status'])
+
+        client.status.state = 'pause'
+        client.status.songid = '2'
+        client.song = {file: 'b.mp3', Id: '2'}
+        client.emit('changed:player')
+
+        return Promise.all([
+          nextEvent(playerState, 'songchange'),
+          nextEvent(playerState, 'statechange'),
+        ])
+      })
+      .then(args => {
+        expect(args[0][0]).to.deep.equal({file: 'b.mp3', id: 2})
+        expect(args[0][1]).to.deep.equal({file: 'a.mp3', title: 'A', id: 1})
+        expect(args[1]).to.deep.equal(['pause', 'play'])
+
+        client.status.random = '1'
+        client.emit('changed:options')
+
+        return nextEvent(playerState, 'optionschange')
+      })
+      .then(args => {
+        expect(args[0].random).to.equal(true)
+        expect(args[1].random).to.equal(false)
+      })
+  })
+
+  it('emits update after every refresh', function () {
+    const client = fakeClient()
+    const playerState = new PlayerState(client)
+    const events = []
+
+    return playerState.refresh()
+      .then(() => {
+        playerState.on('songchange', () => events.push('songchange'))
+        playerState.on('update', () => events.push('update'))
+
+        // Seeking changes nothing but the elapsed time.
+        client.status.elapsed = '120.000'
+        client.emit('changed:player')
+
+        return nextEvent(playerState, 'update')
+      })
+      .then(args => {
+        expect(args).to.deep.equal([])
+        expect(events).to.deep.equal(['update'])
+        expect(playerState.status.elapsed).to.equal(120)
+      })
+  })
+
+  it('interpolates the elapsed time while playing', function () {
+    const client = fakeClient()
+    const playerState = new PlayerState(client)
+
+    expect(playerState.elapsed).to.equal(null)
+
+    return playerState.refresh()
+      .then(() => new Promise(resolve => setTimeout(resolve, 50)))
+      .then(() => {
+        expect(playerState.elapsed).to.be.above(10.04)
+        expect(playerState.elapsed).to.be.below(11)
+
+        client.status.state = 'pause'
+        return playerState.refresh()
+      })
+      .then(() => new Promise(resolve => setTimeout(resolve, 20)))
+      .then(() => {
+        expect(playerState.elapsed).to.equal(10)
+      })
+  })
+
+  it('combines updates that arrive while one is running', function () {
+    const client = fakeClient()
+    const playerState = new PlayerState(client)
+
+    return Promise.all([
+      playerState.refresh(),
+      playerState.refresh(),
+      playerState.refresh(),
+    ]).then(() => {
+      expect(client.commands).to.deep.equal(['status', 'currentsong', 'status', 'currentsong'])
+    })
+  })
+
+  it('emits errors of refreshes after change events', function () {
+    const client = fakeClient()
+    const playerState = new PlayerState(client)
+    const error = new Error('Connection closed.')
+
+    return playerState.refresh()
+      .then(() => {
+        client.error = error
+        // Without listeners, the error is ignored.
+        client.emit('changed:mixer')
+
+        return new Promise(resolve => setImmediate(resolve))
+      })
+      .then(() => {
+        const event = nextEvent(playerState, 'error')
+        client.emit('changed:player')
+        return event
+      })
+      .then(args => {
+        expect(args).to.deep.equal([error])
+        expect(playerState.volume).to.equal(50)
+      })
+  })
+
+  it('stops listening when closed', function () {
+    const client = fakeClient()
+    const playerState = new PlayerState(client)
+
+    expect(client.listenerCount('changed:player')).to.equal(1)
+    playerState.close()
+    expect(client.listenerCount('changed:player')).to.equal(0)
+  })
+
+})
@@ -0,0 +1,80 @@
+'use strict'
+
+const expect = require('chai').expect
+const playlistFiles = require('../lib/playlist-files')
+
+describe('#playlistFiles', function () {
+
+  const songs = [
+    {file: 'Queen/Innuendo/01 Innuendo.flac', Artist: 'Queen', Title: 'Innuendo', duration: '392.533'},
+    {file: 'Misc/untitled.mp3'},
+    {file: 'http://radio.example.com/stream', Name: 'Radio'},
+  ]
+
+  it('formats extended M3U', function () {
+    expect(playlistFiles.formatM3U(songs)).to.equal([
+      '#EXTM3U',
+      '#EXTINF:393,Queen - Innuendo',
+      'Queen/Innuendo/01 Innuendo.flac',
+      '#EXTINF:-1,untitled.mp3',
+      'Misc/untitled.mp3',
+      '#EXTINF:-1,Radio',
+      'http://radio.example.com/stream',
+      '',
+    ].join('\n'))
+  })
+
+  it('formats plain M3U with absolute paths', function () {
+    expect(playlistFiles.formatM3U(songs, {extended: false, musicDirectory: '/music'})).to.equal([
+      '/music/Queen/Innuendo/01 Innuendo.flac',
+      '/music/Misc/untitled.mp3',
+      'http://radio.example.com/stream',
+      '',
+    ].join('\n'))
+  })
+
+  it('formats PLS', function () {
+    expect(playlistFiles.formatPLS(songs.slice(0, 1))).to.equal([
+      '[playlist]',
+      'File1=Queen/Innuendo/01 Innuendo.flac',
+      'Title1=Queen - Innuendo',
+      'Length1=393',
+      'NumberOfEntries=1',
+      'Version=2',
+      '',
+    ].join('\n'))
+  })
+
+  it('parses M3U and extended M3U', function () {
+    const text = '\uFEFF#EXTM3U\r\n#EXTINF:392,Queen - Innuendo\r\nQueen/01.flac\r\n\r\n# comment\r\nMisc/b.mp3\r\n'
+
+    expect(playlistFiles.parse(text)).to.deep.equal([
+      {uri: 'Queen/01.flac', title: 'Queen - Innuendo', duration: 392},
+      {uri: 'Misc/b.mp3', title: null, duration: null},
+    ])
+    expect(playlistFiles.parse(text, 'm3u8')).to.deep.equal(playlistFiles.parse(text))
+  })
+
+  it('parses PLS', function () {
+    const text = '[playlist]\nFile2=b.mp3\nFile1=a.mp3\nTitle1=A\nLength1=-1\nNumberOfEntries=2\nVersion=2\n'
+
+    expect(playlistFiles.parse(text)).to.deep.equal([
+      {uri: 'a.mp3', title: 'A', duration: null},
+      {uri: 'b.mp3', title: null, duration: null},
+    ])
+    expect(() => playlistFiles.parse(text, 'xspf')).to.throw(/Unknown playlist format/)
+  })
+
+  it('resolves locations against the music directory', function () {
+    const options = {baseDir: '/music/Playlists', musicDirectory: '/music/'}
+
+    expect(playlistFiles.resolveUri('../Queen/01.flac', options)).to.equal('Queen/01.flac')
+    expect(playlistFiles.resolveUri('/music/Queen/01.flac', options)).to.equal('Queen/01.flac')
+    expect(playlistFiles.resolveUri('file:///music/Queen/01%20Innuendo.flac', options)).to.equal('Queen/01 Innuendo.flac')
+    expect(playlistFiles.resolveUri('..\\Queen\\01.flac', options)).to.equal('Queen/01.flac')
+    expect(playlistFiles.resolveUri('http://radio.example.com/stream', options)).to.equal('http://radio.example.com/stream')
+    expect(playlistFiles.resolveUri('/elsewhere/a.mp3', options)).to.equal('/elsewhere/a.mp3')
+    expect(playlistFiles.resolveUri('./Queen/01.flac')).to.equal('Queen/01.flac')
+  })
+
+})
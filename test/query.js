@@ -0,0 +1,110 @@
+'use strict'
+
+const expect = require('chai').expect
+const q = require('../lib/query')
+
+describe('#query', function () {
+
+  it('builds filter expressions', function () {
+    expect(String(q.eq('Artist', 'Queen'))).to.equal('(Artist == "Queen")')
+    expect(String(q.ne('Genre', 'Pop'))).to.equal('(Genre != "Pop")')
+    expect(String(q.contains('Album', 'live'))).to.equal('(Album contains "live")')
+    expect(String(q.startsWith('Title', 'The'))).to.equal('(Title starts_with "The")')
+    expect(String(q.match('Date', '^19[0-9]{2}$'))).to.equal('(Date =~ "^19[0-9]{2}$")')
+    expect(String(q.notMatch('Date', '^19'))).to.equal('(Date !~ "^19")')
+    expect(String(q.base('Queen/Innuendo'))).to.equal('(base "Queen/Innuendo")')
+    expect(String(q.modifiedSince(new Date(Date.UTC(2020, 0, 2, 3, 4, 5, 678)))))
+      .to.equal('(modified-since "2020-01-02T03:04:05Z")')
+
+    expect(String(q.and(q.eq('Artist', 'Queen'), q.not(q.contains('Album', 'live')))))
+      .to.equal('((Artist == "Queen") AND (!(Album contains "live")))')
+    expect(q.and(q.eq('Artist', 'Queen'))).to.be.an.instanceof(q.Filter)
+  })
+
+  it('escapes values', function () {
+    expect(String(q.eq('Title', 'Say "hi" \\o/'))).to.equal('(Title == "Say \\"hi\\" \\\\o/")')
+    expect(String(q.eq('Track', 1))).to.equal('(Track == "1")')
+  })
+
+  it('rejects invalid tags and arguments', function () {
+    expect(() => q.eq('Artist") OR ("any', 'x')).to.throw(TypeError, /Invalid tag/)
+    expect(() => q.eq('', 'x')).to.throw(TypeError, /Invalid tag/)
+    expect(() => q.and()).to.throw(TypeError)
+    expect(() => q.and(q.eq('Artist', 'x'), '(Album == "y")')).to.throw(TypeError)
+    expect(() => q.not({Artist: 'x'})).to.throw(TypeError)
+  })
+
+  it('keeps the legacy form if there is one', function () {
+    const filter = q.and(q.eq('Artist', 'Queen'), q.base('Queen'), q.eq('Album', 'Innuendo'))
+
+    expect(filter.toLegacy('==')).to.deep.equal(['Artist', 'Queen', 'base', 'Queen', 'Album', 'Innuendo'])
+    expect(filter.toLegacy('contains')).to.equal(null)
+    expect(q.contains('Album', 'live').toLegacy('contains')).to.deep.equal(['Album', 'live'])
+    expect(q.ne('Artist', 'Queen').toLegacy('==')).to.equal(null)
+    expect(q.not(q.eq('Artist', 'Queen')).toLegacy('==')).to.equal(null)
+    expect(q.and(q.eq('Artist', 'Queen'), q.match('Date', '^19')).toLegacy('==')).to.equal(null)
+  })
+
+  it('tracks the features a filter needs', function () {
+    expect(q.eq('Artist', 'Queen').features).to.deep.equal([])
+    expect(q.and(q.startsWith('Title', 'A'), q.not(q.startsWith('Album', 'B'))).features)
+      .to.deep.equal(['startsWith'])
+  })
+
+  it('converts objects to filters', function () {
+    expect(String(q.fromObject({Artist: 'Queen', base: 'Queen'}, 'contains')))
+      .to.equal('((Artist contains "Queen") AND (base "Queen"))')
+    expect(q.fromObject({}, '==')).to.equal(null)
+  })
+
+  it('sends a query once, with its options', function () {
+    const calls = []
+    const query = new q.Query(options => {
+      calls.push(options)
+      return Promise.resolve(['a.mp3'])
+    })
+
+    expect(query.sort('-Date').window(0, 50)).to.equal(query)
+
+    return query.then(result => {
+      expect(result).to.deep.equal(['a.mp3'])
+      expect(calls).to.deep.equal([{sort: '-Date', window: [0, 50]}])
+      expect(() => query.sort('Title')).to.throw(/already been sent/)
+
+      return query
+    }).then(() => {
+      expect(calls.length).to.equal(1)
+    })
+  })
+
+  it('only sends a query when it is awaited', function () {
+    const calls = []
+    const query = new q.Query(options => {
+      calls.push(options)
+      return Promise.reject(new Error('Unsupported'))
+    })
+
+    return new Promise(resolve => setImmediate(resolve))
+      .then(() => {
+        expect(calls).to.deep.equal([])
+
+        // It can still be changed after an await.
+        return query.window(10).catch(err => err)
+      })
+      .then(err => {
+        expect(err.message).to.equal('Unsupported')
+        expect(calls).to.deep.equal([{sort: null, window: [10, undefined]}])
+
+        let settled = false
+        return query.finally(() => {
+          settled = true
+        }).then(() => {
+          throw new Error('Expected the query to be rejected')
+        }, () => {
+          expect(settled).to.equal(true)
+          expect(calls.length).to.equal(1)
+        })
+      })
+  })
+
+})
@@ -0,0 +1,181 @@
+'use strict'
+
+const expect = require('chai').expect
+const QueueMirror = require('../lib/queue-mirror')
+const fakeClient = require('./helpers/fake-client')
+
+describe('#QueueMirror', function () {
+
+  // Applies the events to a copy of the songs, like a UI would.
+  function follow(mirror) {
+    const copy = mirror.songs.slice()
+    const events = []
+
+    mirror.on('reset', songs => {
+      events.push('reset')
+      copy.splice.apply(copy, [0, copy.length].concat(songs))
+    })
+    mirror.on('insert', (song, i) => {
+      events.push('insert ' + i)
+      copy.splice(i, 0, song)
+    })
+    mirror.on('remove', (song, i) => {
+      events.push('remove ' + i)
+      expect(copy.splice(i, 1)[0].id).to.equal(song.id)
+    })
+    mirror.on('move', (song, from, to) => {
+      events.push('move ' + from + ' ' + to)
+      expect(copy.splice(from, 1)[0].id).to.equal(song.id)
+      copy.splice(to, 0, song)
+    })
+    mirror.on('update', (song, i, oldSong) => {
+      events.push('update ' + i)
+      expect(copy[i].id).to.equal(song.id)
+      copy[i] = song
+    })
+
+    return {copy, events}
+  }
+
+  function files(mirror) {
+    return mirror.songs.map(song => song.file)
+  }
+
+  it('loads the whole queue first', function () {
+    const client = fakeClient(['a', 'b', 'c'])
+    const mirror = new QueueMirror(client)
+    const followed = follow(mirror)
+
+    return mirror.refresh().then(songs => {
+      expect(songs).to.deep.equal([
+        {file: 'a', id: 1},
+        {file: 'b', id: 2},
+        {file: 'c', id: 3},
+      ])
+      expect(mirror.version).to.equal(1)
+      expect(followed.events).to.deep.equal(['reset'])
+      expect(client.commands).to.deep.equal(['status', 'playlistinfo'])
+    })
+  })
+
+  it('only fetches the full info of new and changed songs', function () {
+    const client = fakeClient(['a', 'b', 'c', 'd'])
+    const mirror = new QueueMirror(client)
+    let followed
+
+    return mirror.refresh()
+      .then(() => {
+        followed = follow(mirror)
+        client.commands = []
+        client.delete(1)
+        return mirror.sync()
+      })
+      .then(() => {
+        expect(files(mirror)).to.deep.equal(['a', 'c', 'd'])
+        expect(client.commands).to.deep.equal(['status', 'plchangesposid'])
+        expect(followed.events).to.deep.equal(['remove 1'])
+
+        client.commands = []
+        client.add('e', 0)
+        return mirror.sync()
+      })
+      .then(() => {
+        expect(files(mirror)).to.deep.equal(['e', 'a', 'c', 'd'])
+        expect(client.commands).to.deep.equal(['status', 'plchangesposid', 'status', 'plchanges'])
+        expect(followed.events.slice(1)).to.deep.equal(['insert 0'])
+
+        client.retag(2, 'C')
+        return mirror.sync()
+      })
+      .then(() => {
+        expect(mirror.songs[2].title).to.equal('C')
+        expect(followed.events.slice(2)).to.deep.equal(['update 2'])
+        expect(followed.copy).to.deep.equal(mirror.songs)
+      })
+  })
+
+  it('emits a single move for a moved song', function () {
+    const client = fakeClient(['a', 'b', 'c', 'd', 'e'])
+    const mirror = new QueueMirror(client)
+    let followed
+
+    return mirror.refresh()
+      .then(() => {
+        followed = follow(mirror)
+        client.move(0, 3)
+        return mirror.sync()
+      })
+      .then(() => {
+        expect(files(mirror)).to.deep.equal(['b', 'c', 'd', 'a', 'e'])
+        expect(followed.events).to.deep.equal(['move 0 3'])
+
+        client.move(4, 1)
+        return mirror.sync()
+      })
+      .then(() => {
+        expect(files(mirror)).to.deep.equal(['b', 'e', 'c', 'd', 'a'])
+        expect(followed.events.slice(1)).to.deep.equal(['move 4 1'])
+        expect(followed.copy).to.deep.equal(mirror.songs)
+      })
+  })
+
+  it('keeps up with the changed:playlist event', function () {
+    const client = fakeClient(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'])
+    const mirror = new QueueMirror(client)
+    let followed
+    let seed = 42
+
+    function random(n) {
+      seed = (seed * 16807) % 2147483647
+      return seed % n
+    }
+
+    return mirror.refresh().then(() => {
+      followed = follow(mirror)
+
+      for (let i = 0; i < 50; i += 1) {
+        const length = client.queue.length
+        const op = random(4)
+
+        if (op === 0 || length < 3) client.add('x' + i, random(length + 1))
+        else if (op === 1) client.delete(random(length))
+        else if (op === 2) client.move(random(length), random(length))
+        else client.retag(random(length), 'T' + i)
+      }
+
+      return mirror.sync()
+    }).then(() => {
+      expect(files(mirror)).to.deep.equal(client.queue.map(song => song.file))
+      expect(followed.copy).to.deep.equal(mirror.songs)
+      expect(mirror.version).to.equal(client.version)
+    })
+  })
+
+  it('emits errors of syncs after change events', function () {
+    const client = fakeClient(['a', 'b'])
+    const mirror = new QueueMirror(client)
+    const error = new Error('Connection closed.')
+
+    return mirror.refresh()
+      .then(() => {
+        client.error = error
+        client.emit('changed:playlist')
+
+        return new Promise(resolve => mirror.once('error', resolve))
+      })
+      .then(err => {
+        expect(err).to.equal(error)
+        expect(files(mirror)).to.deep.equal(['a', 'b'])
+      })
+  })
+
+  it('stops listening when closed', function () {
+    const client = fakeClient([])
+    const mirror = new QueueMirror(client)
+
+    expect(client.listenerCount('changed:playlist')).to.equal(1)
+    mirror.close()
+    expect(client.listenerCount('changed:playlist')).to.equal(0)
+  })
+
+})
@@ -0,0 +1,120 @@
+'use strict'
+
+const expect = require('chai').expect
+const schema = require('../lib/schema')
+
+describe('#schema', function () {
+
+  it('normalizes keys to camel case', function () {
+    expect(schema.normalizeKey('volume')).to.equal('volume')
+    expect(schema.normalizeKey('Last-Modified')).to.equal('lastModified')
+    expect(schema.normalizeKey('updating_db')).to.equal('updatingDb')
+    expect(schema.normalizeKey('AlbumArtist')).to.equal('albumArtist')
+    expect(schema.normalizeKey('MUSICBRAINZ_TRACKID')).to.equal('musicbrainzTrackid')
+  })
+
+  it('converts the fields in status', function () {
+    expect(schema.coerce({
+      volume: '50',
+      repeat: '0',
+      random: '1',
+      single: 'oneshot',
+      state: 'play',
+      time: '12:300',
+      elapsed: '12.345',
+      audio: '44100:16:2',
+    })).to.deep.equal({
+      volume: 50,
+      repeat: false,
+      random: true,
+      single: 'oneshot',
+      state: 'play',
+      time: {elapsed: 12, total: 300},
+      elapsed: 12.345,
+      audio: {sampleRate: 44100, bits: 16, channels: 2},
+    })
+  })
+
+  it('converts the fields in stats', function () {
+    const stats = schema.coerce({
+      songs: '1200',
+      db_playtime: '360000',
+      db_update: '1449000000',
+    })
+
+    expect(stats.songs).to.equal(1200)
+    expect(stats.dbPlaytime).to.equal(360000)
+    expect(stats.dbUpdate.getTime()).to.equal(1449000000000)
+  })
+
+  it('converts the fields in songs and keeps repeated tags', function () {
+    const song = schema.coerce({
+      file: 'a.flac',
+      'Last-Modified': '2015-12-01T12:00:00Z',
+      Artist: ['A', 'B'],
+      Time: '300',
+      duration: '300.123',
+      Format: '48000:f:2',
+      Pos: '3',
+      Id: '7',
+    })
+
+    expect(song).to.deep.equal({
+      file: 'a.flac',
+      lastModified: new Date('2015-12-01T12:00:00Z'),
+      artist: ['A', 'B'],
+      time: 300,
+      duration: 300.123,
+      format: {sampleRate: 48000, bits: 'f', channels: 2},
+      pos: 3,
+      id: 7,
+    })
+  })
+
+  it('converts the fields in outputs', function () {
+    expect(schema.coerce({
+      outputid: '0',
+      outputname: 'ALSA',
+      outputenabled: '1',
+    })).to.deep.equal({
+      outputid: 0,
+      outputname: 'ALSA',
+      outputenabled: true,
+    })
+  })
+
+  it('leaves values it can not convert as they are', function () {
+    expect(schema.coerce({volume: 'n/a', audio: 'unknown'})).to.deep.equal({
+      volume: 'n/a',
+      audio: 'unknown',
+    })
+  })
+
+  it('only converts values that are numbers as a whole', function () {
+    expect(schema.coerce({
+      playlist: '90s hits',
+      elapsed: '1.5x',
+      mixrampdelay: 'nan',
+      db_update: '2015-12-01',
+    })).to.deep.equal({
+      playlist: '90s hits',
+      elapsed: '1.5x',
+      mixrampdelay: 'nan',
+      dbUpdate: '2015-12-01',
+    })
+    expect(schema.coerce({mixrampdb: '-17.5'})).to.deep.equal({mixrampdb: -17.5})
+  })
+
+  it('only converts the playlist version in status', function () {
+    expect(schema.coerce({playlist: '12', playlistlength: '3'}, 'status')).to.deep.equal({
+      playlist: 12,
+      playlistlength: 3,
+    })
+    expect(schema.coerce({playlist: '1999', 'Last-Modified': '2015-12-01T12:00:00Z'})).to.deep.equal({
+      playlist: '1999',
+      lastModified: new Date('2015-12-01T12:00:00Z'),
+    })
+    expect(schema.coerce({playlist: '1999'}, 'lsinfo')).to.deep.equal({playlist: '1999'})
+  })
+
+})
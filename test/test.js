@@ -1,6 +1,10 @@
 'use strict'
 
+const childProcess = require('child_process')
+const fs = require('fs')
 const net = require('net')
+const os = require('os')
+const path = require('path')
 
 const expect = require('chai').expect
 const MPClient = require('..')
@@ -45,6 +49,7 @@ describe('#MPClient', function () {
       mpc.command('play').then(response => {
         expect(response).to.deep.equal({
           data: {},
+          records: [],
           status: 'OK',
           full: 'OK\n',
         })
@@ -71,6 +76,9 @@ describe('#MPClient', function () {
           data: {
             changed: ['player', 'mixer', 'database'],
           },
+          records: [{
+            changed: ['player', 'mixer', 'database'],
+          }],
           status: 'OK',
           full: 'changed: player\nchanged: mixer\nchanged: database\nOK\n',
         })
@@ -119,6 +127,7 @@ describe('#MPClient', function () {
         .then(response => {
           expect(response).to.deep.equal({
             data: {},
+            records: [],
             status: 'OK',
             full: 'OK\n',
           })
@@ -144,6 +153,7 @@ describe('#MPClient', function () {
         .then(response => {
           expect(response).to.deep.equal({
             data: {},
+            records: [],
             status: 'OK',
             full: 'OK\n',
           })
@@ -164,19 +174,24 @@ describe('#MPClient', function () {
   registerTest()
   it('can send multiple commands to MPD in a command list', function (done) {
     mpc.then(mpc => {
-      mpc.commandList(['play', 'play'])
+      mpc.commandList(['play', 'status'])
         .then(response => {
-          expect(response).to.deep.equal({
+          expect(response).to.have.length(2)
+          expect(response[0]).to.deep.equal({
             data: {},
-            status: 'OK',
-            full: 'list_OK\nlist_OK\nOK\n',
+            records: [],
+            status: 'list_OK',
+            full: 'list_OK\n',
           })
+          expect(response[1].data.foo000).to.equal('bar')
+          expect(response[1].status).to.equal('list_OK')
         })
         .then(() => mpc.idle())
         .then(() => mpc.commandList(['play', 'play'], false))
         .then(response => {
           expect(response).to.deep.equal({
             data: {},
+            records: [],
             status: 'OK',
             full: 'OK\n',
           })
@@ -200,17 +215,31 @@ describe('#MPClient', function () {
     mpc.then(mpc => {
       mpc.command('toggle')
         .then(response => {
-          done(new Error('Received OK, expected ACK'))
+          throw new Error('Received OK, expected ACK')
+        }, err => {
+          expect(err).to.be.an.instanceof(MPClient.MPDError)
+          expect(err.code).to.equal(MPClient.ACK_ERROR_UNKNOWN)
+          expect(err.commandListIndex).to.equal(0)
+          expect(err.command).to.equal('')
+          expect(err.message).to.equal('unknown command "toggle"')
+          expect(err.response.status).to.equal('ACK [5@0] {} unknown command "toggle"')
+        })
+        .then(() => mpc.commandList(['play', 'toggle', 'play']))
+        .then(response => {
+          throw new Error('Received OK, expected ACK')
+        }, err => {
+          expect(err).to.be.an.instanceof(MPClient.MPDError)
+          expect(err.commandListIndex).to.equal(1)
+          expect(err.failedCommand).to.equal('toggle')
+          expect(err.results).to.have.length(1)
+          expect(err.results[0].status).to.equal('list_OK')
+        })
+        .then(() => {
+          done()
           endTest()
         })
         .catch(err => {
-          expect(err).to.deep.equal({
-            data: {},
-            status: 'ACK',
-            full: 'ACK\n',
-          })
-
-          done()
+          done(err)
           endTest()
         })
     }).catch(err => {
@@ -232,6 +261,13 @@ describe('#MPClient', function () {
               'foo003': 'bar',
               'foo004': 'bar',
             },
+            records: [{
+              'foo000': 'bar',
+              'foo001': 'bar',
+              'foo002': 'bar',
+              'foo003': 'bar',
+              'foo004': 'bar',
+            }],
             status: 'OK',
             full: 'foo000: bar\nfoo001: bar\nfoo002: bar\nfoo003: bar\nfoo004: bar\nOK\n',
           })
@@ -250,14 +286,23 @@ describe('#MPClient', function () {
   })
 
   registerTest()
-  it('can disconnect and reconnect as desired', function (done) {
+  it('has high-level methods that resolve with parsed data', function (done) {
     mpc.then(mpc => {
-      mpc.disconnect()
-      mpc.disconnect()
+      mpc.play()
+        .then(response => {
+          expect(response).to.equal(undefined)
+        })
+        .then(() => mpc.setvol(50))
+        .then(() => mpc.status())
+        .then(status => {
+          expect(status).to.deep.equal({
+            'foo000': 'bar',
+            'foo001': 'bar',
+            'foo002': 'bar',
+            'foo003': 'bar',
+            'foo004': 'bar',
+          })
 
-      mpc.connect()
-        .then(() => mpc.connect())
-        .then(() => {
           done()
           endTest()
         })
@@ -272,30 +317,57 @@ describe('#MPClient', function () {
   })
 
   registerTest()
-  it('gives an error if a command is sent while not connected', function (done) {
+  it('splits list responses into records', function (done) {
     mpc.then(mpc => {
-      mpc.disconnect()
-
-      mpc.command('play')
+      mpc.command('lsinfo')
         .then(response => {
-          done(new Error('Received OK, expected connection error'))
-          endTest()
+          expect(response.data).to.deep.equal({
+            directory: 'music',
+            'Last-Modified': '2015-12-01T12:00:00Z',
+            file: ['a.mp3', 'b.mp3'],
+            Title: ['A', 'B'],
+            playlist: 'favourites',
+          })
+          expect(response.records).to.deep.equal([
+            {directory: 'music', 'Last-Modified': '2015-12-01T12:00:00Z'},
+            {file: 'a.mp3', Title: 'A'},
+            {file: 'b.mp3', Title: 'B'},
+            {playlist: 'favourites'},
+          ])
         })
-        .catch(err => expect(err.message).to.equal('No active connection to write to.'))
-        .then(() => mpc.idle())
-        .then(response => {
-          done(new Error('Received OK, expected connection error'))
+        .then(() => mpc.lsinfo())
+        .then(records => {
+          expect(records).to.have.length(4)
+
+          done()
           endTest()
         })
-        .catch(err => expect(err.message).to.equal('No active connection to write to.'))
-        .then(() => mpc.commandList('play', 'play'))
-        .then(response => {
-          done(new Error('Received OK, expected connection error'))
+        .catch(err => {
+          done(err)
           endTest()
         })
-        .catch(err => expect(err.message).to.equal('No active connection to write to.'))
-        .then(() => mpc.connect())
-        .then(() => {
+    }).catch(err => {
+      done(err)
+      endTest()
+    })
+  })
+
+  registerTest()
+  it('splits the records of outputs at each output', function (done) {
+    mpc.then(mpc => {
+      mpc.outputs()
+        .then(records => {
+          expect(records).to.deep.equal([
+            {outputid: '0', outputname: 'ALSA', plugin: 'alsa', outputenabled: '1', attribute: 'dop=0'},
+            {outputid: '1', outputname: 'Stream', plugin: 'httpd', outputenabled: '0'},
+          ])
+
+          return mpc.commandList(['lsinfo', 'outputs'])
+        })
+        .then(results => {
+          expect(results[0].records).to.have.length(4)
+          expect(results[1].records).to.have.length(2)
+
           done()
           endTest()
         })
@@ -310,15 +382,23 @@ describe('#MPClient', function () {
   })
 
   registerTest()
-  it('still gives a response if MPD gives an unexpected answer', function (done) {
+  it('can receive binary responses', function (done) {
     mpc.then(mpc => {
-      mpc.command('statusfail')
+      mpc.albumart('cover.mp3')
+        .then(chunk => {
+          expect(chunk.size).to.equal(6)
+          expect(chunk.type).to.equal('image/png')
+          expect(chunk.binary).to.deep.equal(Buffer.from([0x0a, 0x00, 0xff, 0x0a]))
+        })
+        .then(() => mpc.fetchAlbumArt('cover.mp3'))
+        .then(picture => {
+          expect(picture.size).to.equal(6)
+          expect(picture.binary).to.deep.equal(Buffer.from([0x0a, 0x00, 0xff, 0x0a, 0x41, 0x0a]))
+        })
+        .then(() => mpc.command('status'))
         .then(response => {
-          expect(response).to.deep.equal({
-            data: {},
-            status: 'OK',
-            full: 'foo000: bar\n\nfoo001:bar\nfoo002: bar\nOK\n',
-          })
+          expect(response.binary).to.equal(undefined)
+          expect(response.data.foo000).to.equal('bar')
 
           done()
           endTest()
@@ -333,123 +413,1434 @@ describe('#MPClient', function () {
     })
   })
 
-})
+  registerTest()
+  it('reconnects and rejects pending commands if the connection is lost', function (done) {
+    mockServerInfo.then(netOpts => {
+      const client = new MPClient(netOpts, {
+        reconnect: {initialDelay: 10, jitter: 0},
+      })
+      const events = []
 
+      client.on('reconnecting', (attempt, delay) => events.push(['reconnecting', attempt, delay]))
+      client.on('reconnected', () => events.push(['reconnected']))
 
-function getMockServer() {
-  const WRITE_NO = 0
-  const WRITE_OK = 1
-  const WRITE_LIST_OK = 2
+      client.connect()
+        .then(() => client.subscribe('foo'))
+        .then(() => client.command('kill'))
+        .then(response => {
+          throw new Error('Received OK, expected connection error')
+        }, err => {
+          expect(err.message).to.equal('Connection closed.')
+        })
+        .then(() => new Promise(resolve => client.once('reconnected', resolve)))
+        .then(() => client.command('play'))
+        .then(response => {
+          expect(response.status).to.equal('OK')
+          expect(events).to.deep.equal([
+            ['reconnecting', 1, 10],
+            ['reconnected'],
+          ])
 
-  return new Promise((resolve, reject) => {
-    const server = net.createServer(function handler(client) {
+          client.disconnect()
+          done()
+          endTest()
+        })
+        .catch(err => {
+          client.disconnect()
+          done(err)
+          endTest()
+        })
     })
+  })
 
-    let idle = null
-    let idleResponseNr = 0
-    const idleResponses = [
-        'changed: player\nchanged: mixer\nchanged: database\nOK\n',
-        'changed: player\nOK\n',
-    ]
+  registerTest()
+  it('can replay pending commands after reconnecting', function (done) {
+    mockServerInfo.then(netOpts => {
+      const client = new MPClient(netOpts, {
+        reconnect: {initialDelay: 10, pending: 'replay'},
+      })
 
-    server.on('error', reject)
-    server.listen(function ready() {
-      resolve(server)
+      client.connect()
+        .then(() => client.command('flaky'))
+        .then(response => {
+          expect(response.status).to.equal('OK')
+
+          client.disconnect()
+          done()
+          endTest()
+        })
+        .catch(err => {
+          client.disconnect()
+          done(err)
+          endTest()
+        })
     })
+  })
 
-    server.on('connection', function incoming(socket) {
-      socket.write('OK MPD mock\n')
-      socket.setEncoding('utf8')
+  registerTest()
+  it('emits reconnected before replayed commands are done', function (done) {
+    mockServerInfo.then(netOpts => {
+      const client = new MPClient(netOpts, {
+        reconnect: {initialDelay: 10, pending: 'replay'},
+      })
+      let slowDone = false
 
-      let list = null
-      let listOk = null
+      client.connect()
+        .then(() => {
+          const flaky = client.command('flaky')
+          const slow = client.command('slow').then(response => {
+            slowDone = true
+            return response
+          })
 
-      socket.on('data', data => {
-        for (let command of data.split(/\n/)) {
-          execute(command, list == null ? WRITE_OK : WRITE_NO)
-        }
+          return new Promise(resolve => client.once('reconnected', resolve))
+            .then(() => {
+              expect(slowDone).to.equal(false)
+              return Promise.all([flaky, slow])
+            })
+        })
+        .then(responses => {
+          expect(responses.map(response => response.status)).to.deep.equal(['OK', 'OK'])
+
+          client.disconnect()
+          done()
+          endTest()
+        })
+        .catch(err => {
+          client.disconnect()
+          done(err)
+          endTest()
+        })
+    })
+  })
+
+  registerTest()
+  it('stops reconnecting if the password is no longer accepted', function (done) {
+    mockServerInfo.then(netOpts => {
+      const client = new MPClient(netOpts, {
+        password: 'secret',
+        reconnect: {initialDelay: 10, jitter: 0},
       })
+      const events = []
 
-      function execute(command, writeOk) {
-        if (!command) return
+      client.on('reconnecting', attempt => events.push(['reconnecting', attempt]))
 
-        if (command === 'play') {
-          if (list != null) {
-            list.push(command)
-          }
-          else if (writeOk === WRITE_OK) {
-            socket.write('OK\n')
-          }
-          else if (writeOk === WRITE_LIST_OK) {
-            socket.write('list_OK\n')
-          }
-        }
-        else if (command === 'idle') {
-          idle = setTimeout(function () {
-            idle = null
-            socket.write(idleResponses[idleResponseNr])
-            idleResponseNr = (idleResponseNr + 1) % idleResponses.length
-          }, 500)
-        }
-        else if (command === 'noidle') {
-          if (idle != null) {
-            clearTimeout(idle)
-            idle = null
-          }
-          socket.write('OK\n')
-        }
-        else if (command === 'command_list_begin') {
-          list = []
-          listOk = false
-        }
-        else if (command === 'command_list_ok_begin') {
-          list = []
-          listOk = true
-        }
-        else if (command === 'command_list_end') {
-          let l = list
-          list = null
-          for (let command of l) {
-            execute(command, listOk ? WRITE_LIST_OK : WRITE_NO)
-          }
-          socket.write('OK\n')
-        }
-        else if (command === 'status') {
-          const lines = [
-            'foo000: bar',
-            'foo001: bar',
-            'foo002: bar',
-            'foo003: bar',
-            'foo004: bar',
-          ]
+      client.connect()
+        .then(() => client.command('expirepassword'))
+        .then(() => {
+          client.command('kill').catch(() => null)
+          return new Promise(resolve => client.once('reconnect_failed', function () {
+            resolve(Array.prototype.slice.call(arguments))
+          }))
+        })
+        .then(args => {
+          expect(args[0]).to.equal(1)
+          expect(args[1]).to.be.an.instanceof(MPClient.MPDError)
+          expect(args[1].code).to.equal(MPClient.ACK_ERROR_PASSWORD)
+          expect(events).to.deep.equal([['reconnecting', 1]])
 
-          socket.write(lines.join('\n') + '\n')
-          if (writeOk === WRITE_OK) {
-            socket.write('OK\n')
-          }
-          else if (writeOk === WRITE_LIST_OK) {
-            socket.write('list_OK\n')
-          }
-        }
-        else if (command === 'statusfail') {
-          const lines = [
-            'foo000: bar',
-            '',
-            'foo001:bar',
-            'foo002: bar',
-          ]
+          done()
+          endTest()
+        })
+        .catch(err => {
+          client.disconnect()
+          done(err)
+          endTest()
+        })
+    })
+  })
 
-          socket.write(lines.join('\n') + '\n')
-          if (writeOk === WRITE_OK) {
-            socket.write('OK\n')
-          }
-          else if (writeOk === WRITE_LIST_OK) {
-            socket.write('list_OK\n')
-          }
-        }
-        else {
-          socket.write('ACK\n')
-        }
+  registerTest()
+  it('sends the password after connecting', function (done) {
+    mockServerInfo.then(netOpts => {
+      const client = new MPClient(netOpts, {password: 'secret'})
+      const wrong = new MPClient(netOpts, {password: 'wrong'})
+
+      client.connect()
+        .then(greeting => {
+          expect(greeting).to.equal('OK MPD mock\n')
+          client.disconnect()
+        })
+        .then(() => wrong.connect())
+        .then(response => {
+          throw new Error('Connected, expected a password error')
+        }, err => {
+          expect(err).to.be.an.instanceof(MPClient.MPDError)
+          expect(err.code).to.equal(MPClient.ACK_ERROR_PASSWORD)
+          expect(wrong.isConnected()).to.equal(false)
+        })
+        .then(() => {
+          done()
+          endTest()
+        })
+        .catch(err => {
+          client.disconnect()
+          done(err)
+          endTest()
+        })
+    })
+  })
+
+  it('escapes command arguments', function () {
+    expect(MPClient.escape('foo bar')).to.equal('"foo bar"')
+    expect(MPClient.escape('say "hi" \\o/')).to.equal('"say \\"hi\\" \\\\o/"')
+    expect(MPClient.escape(5)).to.equal('"5"')
+    expect(() => MPClient.escape('foo\nclear')).to.throw(Error)
+  })
+
+  registerTest()
+  it('can send commands with escaped arguments', function (done) {
+    mpc.then(mpc => {
+      mpc.command('search', 'title', 'say "hi" \\o/')
+        .then(response => {
+          expect(response.records).to.deep.equal([{file: 'hi.mp3'}])
+        })
+        .then(() => mpc.command('search', 'title', 'foo\nclear'))
+        .then(response => {
+          throw new Error('Received OK, expected an error')
+        }, err => {
+          expect(err.message).to.equal('Command arguments can not contain newlines.')
+        })
+        .then(() => mpc.commandList([['setvol', 50], 'play'], false))
+        .then(response => {
+          expect(response.status).to.equal('OK')
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    }).catch(err => {
+      done(err)
+      endTest()
+    })
+  })
+
+  registerTest()
+  it('keeps going back into idle while watching', function (done) {
+    this.timeout(10000)
+
+    mockServerInfo.then(netOpts => {
+      const client = new MPClient(netOpts)
+      const changes = []
+      let iterator = null
+
+      function nextChange() {
+        return iterator.next().then(change => {
+          expect(change.done).to.equal(false)
+          changes.push(change.value)
+        })
+      }
+
+      client.connect()
+        .then(() => {
+          iterator = client.changes()
+          return nextChange()
+        })
+        .then(() => client.status())
+        .then(() => nextChange())
+        .then(() => nextChange())
+        .then(() => nextChange())
+        .then(() => {
+          expect(changes).to.have.length(4)
+          return iterator.return()
+        })
+        .then(result => {
+          expect(result.done).to.equal(true)
+          return client.watch(['player', 'mixer'])
+        })
+        .then(() => client.unwatch())
+        .then(() => {
+          client.disconnect()
+          done()
+          endTest()
+        })
+        .catch(err => {
+          client.disconnect()
+          done(err)
+          endTest()
+        })
+    })
+  })
+
+  registerTest()
+  it('times out and gets a fresh connection if MPD does not respond', function (done) {
+    mockServerInfo.then(netOpts => {
+      const client = new MPClient(netOpts, {timeout: 50})
+
+      client.connect()
+        .then(() => client.command('stall'))
+        .then(response => {
+          throw new Error('Received OK, expected a timeout')
+        }, err => {
+          expect(err).to.be.an.instanceof(MPClient.TimeoutError)
+          expect(err.command).to.equal('stall')
+          expect(err.timeout).to.equal(50)
+        })
+        .then(() => new Promise(resolve => client.once('reconnected', resolve)))
+        .then(() => client.command('slow', {timeout: 0}))
+        .then(response => {
+          expect(response.status).to.equal('OK')
+
+          client.disconnect()
+          done()
+          endTest()
+        })
+        .catch(err => {
+          client.disconnect()
+          done(err)
+          endTest()
+        })
+    })
+  })
+
+  registerTest()
+  it('can abort commands with an AbortSignal', function (done) {
+    // AbortController is only global since Node 15.
+    if (typeof AbortController === 'undefined') {
+      endTest()
+      this.skip()
+    }
+
+    mpc.then(mpc => {
+      const controller = new AbortController()
+      const aborted = new AbortController()
+      aborted.abort()
+
+      const promise = mpc.command('slow', {signal: controller.signal})
+      controller.abort()
+      // The late response to slow arrives first, and must be discarded.
+      const status = mpc.command('status')
+
+      promise
+        .then(response => {
+          throw new Error('Received OK, expected an AbortError')
+        }, err => {
+          expect(err).to.be.an.instanceof(MPClient.AbortError)
+          expect(err.command).to.equal('slow')
+          return status
+        })
+        .then(response => {
+          expect(response.data).to.have.property('foo000', 'bar')
+          return mpc.command('play', {signal: aborted.signal})
+        })
+        .then(response => {
+          throw new Error('Received OK, expected an AbortError')
+        }, err => {
+          expect(err).to.be.an.instanceof(MPClient.AbortError)
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    }).catch(err => {
+      done(err)
+      endTest()
+    })
+  })
+
+  registerTest()
+  it('can use a separate connection for idle', function (done) {
+    this.timeout(10000)
+
+    mockServerInfo.then(netOpts => {
+      const client = new MPClient(netOpts, {dualConnection: true})
+      let changed = null
+
+      client.once('changed', events => {
+        changed = events
+      })
+
+      client.connect()
+        .then(greeting => {
+          expect(greeting).to.equal('OK MPD mock\n')
+          return client.command('status')
+        })
+        .then(response => {
+          expect(response.data.foo000).to.equal('bar')
+          return new Promise(resolve => client.once('changed:player', resolve))
+        })
+        .then(() => {
+          expect(changed).to.include('player')
+
+          client.disconnect()
+          expect(client.isConnected()).to.equal(false)
+          done()
+          endTest()
+        })
+        .catch(err => {
+          client.disconnect()
+          done(err)
+          endTest()
+        })
+    })
+  })
+
+  registerTest()
+  it('converts known fields in typed mode', function (done) {
+    mpc.then(mpc => {
+      mpc.typed = true
+
+      mpc.lsinfo()
+        .then(records => {
+          mpc.typed = false
+
+          expect(records[0]).to.deep.equal({
+            directory: 'music',
+            lastModified: new Date('2015-12-01T12:00:00Z'),
+          })
+          expect(records[1]).to.deep.equal({file: 'a.mp3', title: 'A'})
+
+          mpc.typed = true
+          return mpc.listplaylists()
+        })
+        .then(records => {
+          mpc.typed = false
+
+          expect(records).to.deep.equal([
+            {playlist: '1999', lastModified: new Date('2015-12-01T12:00:00Z')},
+          ])
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          mpc.typed = false
+          done(err)
+          endTest()
+        })
+    }).catch(err => {
+      done(err)
+      endTest()
+    })
+  })
+
+  registerTest()
+  it('checks the server version before using newer features', function (done) {
+    mpc.then(mpc => {
+      const serverVersion = mpc.serverVersion
+      const restore = () => { mpc.serverVersion = serverVersion }
+
+      expect(serverVersion).to.equal(null)
+      expect(mpc.supports('albumart')).to.equal(true)
+      expect(() => mpc.supports('teleport')).to.throw(/Unknown feature/)
+
+      mpc.find({Artist: 'Foo', Album: 'Bar'})
+        .then(records => {
+          expect(records).to.deep.equal([{file: 'expression.mp3'}])
+
+          mpc.serverVersion = MPClient.Version.parse('0.20.0')
+          expect(mpc.supports('albumart')).to.equal(false)
+
+          return mpc.find({Artist: 'Foo', Album: 'Bar'})
+        })
+        .then(records => {
+          expect(records).to.deep.equal([{file: 'legacy.mp3'}])
+
+          return mpc.albumart('cover.mp3').then(() => {
+            throw new Error('Received OK, expected UnsupportedError')
+          }, err => {
+            expect(err).to.be.an.instanceof(MPClient.UnsupportedError)
+            expect(err.feature).to.equal('albumart')
+            expect(err.requiredVersion).to.equal('0.21.0')
+            expect(String(err.serverVersion)).to.equal('0.20.0')
+          })
+        })
+        .then(() => {
+          restore()
+          done()
+          endTest()
+        })
+        .catch(err => {
+          restore()
+          done(err)
+          endTest()
+        })
+    }).catch(err => {
+      done(err)
+      endTest()
+    })
+  })
+
+  registerTest()
+  it('builds queries with escaped filter expressions', function (done) {
+    const q = MPClient.query
+
+    mpc.then(mpc => {
+      const serverVersion = mpc.serverVersion
+      const restore = () => { mpc.serverVersion = serverVersion }
+      const filter = q.and(q.eq('Artist', 'Say "hi" \\o/'), q.contains('Album', 'live'))
+
+      mpc.find(filter).sort('-Date').window(0, 50)
+        .then(records => {
+          expect(records).to.deep.equal([
+            {file: 'b.mp3', Date: '2001'},
+            {file: 'a.mp3', Date: '1999'},
+          ])
+
+          mpc.serverVersion = MPClient.Version.parse('0.20.0')
+
+          return mpc.find(q.and(q.eq('Artist', 'Foo'), q.eq('Album', 'Bar')))
+        })
+        .then(records => {
+          expect(records).to.deep.equal([{file: 'legacy.mp3'}])
+
+          return Promise.all([
+            mpc.find(filter).then(() => null, err => err),
+            mpc.find(q.eq('Artist', 'Foo')).sort('Date').then(() => null, err => err),
+          ])
+        })
+        .then(errs => {
+          expect(errs[0]).to.be.an.instanceof(MPClient.UnsupportedError)
+          expect(errs[0].feature).to.equal('filterExpressions')
+          expect(errs[1]).to.be.an.instanceof(MPClient.UnsupportedError)
+          expect(errs[1].feature).to.equal('sort')
+
+          restore()
+          done()
+          endTest()
+        })
+        .catch(err => {
+          restore()
+          done(err)
+          endTest()
+        })
+    }).catch(err => {
+      done(err)
+      endTest()
+    })
+  })
+
+  registerTest()
+  it('emits messages on subscribed channels', function (done) {
+    mockServerInfo.then(netOpts => {
+      const sender = new MPClient(netOpts)
+      const receiver = new MPClient(netOpts, {autoIdle: true})
+      const finish = err => {
+        sender.disconnect()
+        receiver.disconnect()
+        done(err)
+        endTest()
+      }
+
+      receiver.on('message', message => {
+        try {
+          expect(message).to.deep.equal({channel: 'kiosk', text: 'hello world'})
+          finish()
+        }
+        catch (err) {
+          finish(err)
+        }
+      })
+
+      Promise.all([sender.connect(), receiver.connect()])
+        .then(() => receiver.subscribe('kiosk'))
+        .then(() => sender.publish('kiosk', 'hello world'))
+        .catch(finish)
+    }).catch(err => {
+      done(err)
+      endTest()
+    })
+  })
+
+  registerTest()
+  it('can import and export stored playlists', function (done) {
+    mpc.then(mpc => {
+      const m3u = [
+        '#EXTM3U',
+        '#EXTINF:180,First',
+        '../Music/first.mp3',
+        'file:///home/me/Music/second.mp3',
+        'http://radio.example.com/stream',
+        '',
+      ].join('\n')
+
+      mpc.importPlaylist('mix', m3u, {baseDir: '/home/me/Playlists', musicDirectory: '/home/me/Music'})
+        .then(uris => {
+          expect(uris).to.deep.equal(['first.mp3', 'second.mp3', 'http://radio.example.com/stream'])
+
+          return mpc.exportPlaylist('mix', 'pls')
+        })
+        .then(pls => {
+          expect(pls).to.equal([
+            '[playlist]',
+            'File1=first.mp3',
+            'Title1=first',
+            'Length1=180',
+            'File2=second.mp3',
+            'Title2=second',
+            'Length2=180',
+            'File3=http://radio.example.com/stream',
+            'Title3=http://radio.example.com/stream',
+            'Length3=180',
+            'NumberOfEntries=3',
+            'Version=2',
+            '',
+          ].join('\n'))
+
+          return mpc.exportPlaylist('nothing')
+        })
+        .then(() => {
+          throw new Error('Received OK, expected an ACK')
+        }, err => {
+          expect(err).to.be.an.instanceof(MPClient.MPDError)
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    }).catch(err => {
+      done(err)
+      endTest()
+    })
+  })
+
+  registerTest()
+  it('can stream the records of large responses', function (done) {
+    mpc.then(mpc => {
+      const stream = mpc.stream('listallinfo', {highWaterMark: 10})
+      const files = []
+      let played = false
+      let paused = null
+
+      // Queued after the stream, so it has to wait for it.
+      const play = mpc.command('play').then(() => { played = true })
+
+      function next() {
+        return stream.next().then(result => {
+          if (result.done) return
+
+          files.push(result.value.file)
+
+          if (files.length === 1) {
+            expect(result.value).to.deep.equal({file: 'song0.mp3', Title: 'Song 0'})
+
+            return new Promise(resolve => setTimeout(resolve, 50)).then(() => {
+              paused = mpc.socket.isPaused()
+              expect(played).to.equal(false)
+            }).then(next)
+          }
+
+          return next()
+        })
+      }
+
+      next()
+        .then(() => {
+          expect(paused).to.equal(true)
+          expect(files.length).to.equal(2000)
+          expect(files[1999]).to.equal('song1999.mp3')
+
+          return play
+        })
+        .then(() => {
+          expect(mpc.socket.isPaused()).to.equal(false)
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    }).catch(err => {
+      done(err)
+      endTest()
+    })
+  })
+
+  registerTest()
+  it('does not time out a stream while the consumer is behind', function (done) {
+    this.timeout(5000)
+
+    mockServerInfo.then(netOpts => {
+      const client = new MPClient(netOpts, {timeout: 100})
+      let count = 0
+
+      function next(stream) {
+        return stream.next().then(result => {
+          if (result.done) return
+
+          count += 1
+
+          // Takes about 800ms in total, much longer than the timeout.
+          return count % 50 === 0
+            ? new Promise(resolve => setTimeout(resolve, 20)).then(() => next(stream))
+            : next(stream)
+        })
+      }
+
+      client.connect()
+        .then(() => next(client.stream('listallinfo', {highWaterMark: 10})))
+        .then(() => {
+          expect(count).to.equal(2000)
+
+          client.disconnect()
+          done()
+          endTest()
+        })
+        .catch(err => {
+          client.disconnect()
+          done(err)
+          endTest()
+        })
+    })
+  })
+
+  registerTest()
+  it('can disconnect and reconnect as desired', function (done) {
+    mpc.then(mpc => {
+      mpc.disconnect()
+      mpc.disconnect()
+
+      mpc.connect()
+        .then(() => mpc.connect())
+        .then(() => {
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    }).catch(err => {
+      done(err)
+      endTest()
+    })
+  })
+
+  registerTest()
+  it('gives an error if a command is sent while not connected', function (done) {
+    mpc.then(mpc => {
+      mpc.disconnect()
+
+      mpc.command('play')
+        .then(response => {
+          done(new Error('Received OK, expected connection error'))
+          endTest()
+        })
+        .catch(err => expect(err.message).to.equal('No active connection to write to.'))
+        .then(() => mpc.idle())
+        .then(response => {
+          done(new Error('Received OK, expected connection error'))
+          endTest()
+        })
+        .catch(err => expect(err.message).to.equal('No active connection to write to.'))
+        .then(() => mpc.commandList('play', 'play'))
+        .then(response => {
+          done(new Error('Received OK, expected connection error'))
+          endTest()
+        })
+        .catch(err => expect(err.message).to.equal('No active connection to write to.'))
+        .then(() => mpc.connect())
+        .then(() => {
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    }).catch(err => {
+      done(err)
+      endTest()
+    })
+  })
+
+  registerTest()
+  it('still gives a response if MPD gives an unexpected answer', function (done) {
+    mpc.then(mpc => {
+      mpc.command('statusfail')
+        .then(response => {
+          expect(response).to.deep.equal({
+            data: {},
+            records: [],
+            status: 'OK',
+            full: 'foo000: bar\n\nfoo001:bar\nfoo002: bar\nOK\n',
+          })
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    }).catch(err => {
+      done(err)
+      endTest()
+    })
+  })
+
+  describe('console scripts', function () {
+    const STATUS = 'foo000: bar\nfoo001: bar\nfoo002: bar\nfoo003: bar\nfoo004: bar\nOK\n'
+    const STATUS_DATA = {foo000: 'bar', foo001: 'bar', foo002: 'bar', foo003: 'bar', foo004: 'bar'}
+
+    this.timeout(10000)
+
+    registerTest()
+    it('runs the commands given with -c and exits with 0', function (done) {
+      runConsole(['-c', 'status', '-c', 'play'])
+        .then(result => {
+          expect(result).to.deep.equal({code: 0, stdout: STATUS + 'OK\n', stderr: ''})
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    })
+
+    registerTest()
+    it('stops at the first command that fails and exits with 1', function (done) {
+      runConsole(['-c', 'status', '-c', 'nonsense', '-c', 'play'])
+        .then(result => {
+          expect(result.code).to.equal(1)
+          expect(result.stdout).to.equal(STATUS)
+          expect(result.stderr).to.contain('unknown command "nonsense"')
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    })
+
+    registerTest()
+    it('continues after a command fails with --continue', function (done) {
+      runConsole(['--continue', '-c', 'nonsense', '-c', 'play'])
+        .then(result => {
+          expect(result.code).to.equal(1)
+          expect(result.stdout).to.equal('OK\n')
+          expect(result.stderr).to.contain('unknown command "nonsense"')
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    })
+
+    registerTest()
+    it('reads a script with a command list from stdin', function (done) {
+      runConsole([], '# Comments are skipped.\n/startlist\nstatus\nplay\n/endlist\nplay\n')
+        .then(result => {
+          expect(result.code).to.equal(0)
+          expect(result.stdout).to.contain('foo004: bar\nlist_OK\nlist_OK\nOK\n')
+          expect(result.stdout).to.match(/OK\nOK\n$/)
+          expect(result.stderr).to.equal('')
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    })
+
+    registerTest()
+    it('fails if a script ends without /endlist', function (done) {
+      runConsole([], 'play\n/startlist\nplay\n')
+        .then(result => {
+          expect(result).to.deep.equal({
+            code: 1,
+            stdout: 'OK\n',
+            stderr: 'The script ended without /endlist.\n',
+          })
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    })
+
+    registerTest()
+    it('prints responses as JSON with --format=json', function (done) {
+      runConsole(['--format=json', '-c', 'status'])
+        .then(result => {
+          expect(result.code).to.equal(0)
+          expect(result.stderr).to.equal('')
+          expect(JSON.parse(result.stdout)).to.deep.equal({status: 'OK', data: STATUS_DATA, records: [STATUS_DATA]})
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    })
+
+    registerTest()
+    it('prints the responses to a command list as a JSON array', function (done) {
+      runConsole(['--format=json'], '/startlist\nstatus\nplay\n/endlist\n')
+        .then(result => {
+          expect(result.code).to.equal(0)
+          expect(result.stderr).to.equal('')
+          expect(JSON.parse(result.stdout)).to.deep.equal([
+            {status: 'list_OK', data: STATUS_DATA, records: [STATUS_DATA]},
+            {status: 'list_OK', data: {}, records: []},
+          ])
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    })
+
+    registerTest()
+    it('prints a line per response with --format=ndjson', function (done) {
+      runConsole(['--format=ndjson'], '/startlist\nstatus\nplay\n/endlist\nplay\n')
+        .then(result => {
+          expect(result.code).to.equal(0)
+          expect(result.stderr).to.equal('')
+          expect(result.stdout.split('\n').slice(0, -1).map(line => JSON.parse(line))).to.deep.equal([
+            {status: 'list_OK', data: STATUS_DATA, records: [STATUS_DATA]},
+            {status: 'list_OK', data: {}, records: []},
+            {status: 'OK', data: {}, records: []},
+          ])
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    })
+
+    registerTest()
+    it('prints what the server sent with --format=raw', function (done) {
+      runConsole(['--format=raw'], '/startlist\nstatus\nnonsense\n/endlist\n')
+        .then(result => {
+          expect(result.code).to.equal(1)
+          expect(result.stdout).to.equal(STATUS.replace(/OK\n$/, 'list_OK\n'))
+          expect(result.stderr).to.match(/^ACK \[5@1\] \{\} unknown command "nonsense"\n$/)
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    })
+
+    registerTest()
+    it('prints errors as JSON on stderr', function (done) {
+      runConsole(['--format=json'], '/startlist\nstatus\nnonsense\n/endlist\n')
+        .then(result => {
+          expect(result.code).to.equal(1)
+          expect(result.stdout).to.equal('')
+
+          const err = JSON.parse(result.stderr)
+          expect(err.status).to.match(/^ACK /)
+          expect(err.error).to.deep.equal({
+            code: 5,
+            commandListIndex: 1,
+            command: '',
+            message: 'unknown command "nonsense"',
+          })
+          expect(err.results).to.deep.equal([{status: 'list_OK', data: STATUS_DATA, records: [STATUS_DATA]}])
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    })
+
+    registerTest()
+    it('switches the format with /format', function (done) {
+      runConsole([], '/format ndjson\nplay\n/format raw\nplay\n/format\n/format xml\n')
+        .then(result => {
+          expect(result.code).to.equal(1)
+          expect(result.stdout).to.equal('{"status":"OK","data":{},"records":[]}\nOK\nThe format is raw\n')
+          expect(result.stderr).to.equal('Unknown format: "xml". Use one of pretty, raw, json, ndjson.\n')
+
+          done()
+          endTest()
+        })
+        .catch(err => {
+          done(err)
+          endTest()
+        })
+    })
+
+    registerTest()
+    it('records a transcript with /record and replays it with /replay', function (done) {
+      const file = path.join(os.tmpdir(), 'rdcl-mpc-test-' + process.pid + '.transcript')
+
+      runConsole([], '/record ' + file + '\npassword "secret"\nstatus\n/record\nplay\n')
+        .then(result => {
+          expect(result).to.deep.equal({code: 0, stdout: 'OK\n' + STATUS + 'OK\n', stderr: ''})
+
+          const lines = fs.readFileSync(file, 'utf8').split('\n')
+          const timestamp = /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z $/
+
+          expect(lines.pop()).to.equal('')
+          for (const line of lines) {
+            expect(line.substring(0, 25)).to.match(timestamp)
+          }
+          expect(lines.map(line => line.substring(25))).to.deep.equal([
+            '# rdcl-mpc ' + require('../package.json').version + ', MPD unknown',
+            '> password "********"',
+            '< OK',
+            '> status',
+          ].concat(STATUS.split('\n').slice(0, -1).map(line => '< ' + line), [
+            '> /record',
+          ]))
+
+          // The password and /record are left out.
+          return runConsole([], '/replay ' + file + '\n')
+        })
+        .then(result => {
+          expect(result).to.deep.equal({code: 0, stdout: STATUS, stderr: ''})
+
+          fs.unlinkSync(file)
+          done()
+          endTest()
+        })
+        .catch(err => {
+          fs.unlink(file, () => null)
+          done(err)
+          endTest()
+        })
+    })
+
+    registerTest()
+    it('stops replaying at the first command that fails', function (done) {
+      const file = path.join(os.tmpdir(), 'rdcl-mpc-test-' + process.pid + '.transcript')
+      const transcript = [
+        '2015-12-01T12:00:00.000Z # A transcript written by hand',
+        '2015-12-01T12:00:00.000Z > /replay other.transcript',
+        '2015-12-01T12:00:01.000Z > nonsense',
+        '2015-12-01T12:00:01.000Z < ACK [5@0] {} unknown command "nonsense"',
+        '2015-12-01T12:00:02.000Z > play',
+        '2015-12-01T12:00:02.000Z < OK',
+        '',
+      ].join('\n')
+
+      fs.writeFileSync(file, transcript)
+
+      Promise.all([
+        runConsole([], '/replay ' + file + '\n'),
+        runConsole(['--continue'], '/replay ' + file + '\n'),
+      ])
+        .then(results => {
+          expect(results[0].code).to.equal(1)
+          expect(results[0].stdout).to.equal('')
+          expect(results[0].stderr).to.contain('unknown command "nonsense"')
+          expect(results[0].stderr).to.contain('Not all commands in "' + file + '" succeeded.')
+
+          expect(results[1].code).to.equal(1)
+          expect(results[1].stdout).to.equal('OK\n')
+          expect(results[1].stderr).to.contain('Not all commands in "' + file + '" succeeded.')
+
+          fs.unlinkSync(file)
+          done()
+          endTest()
+        })
+        .catch(err => {
+          fs.unlink(file, () => null)
+          done(err)
+          endTest()
+        })
+    })
+
+  })
+
+})
+
+
+/**
+ * Runs console.js against the mock server.
+ *
+ * @param {Array}  args
+ * @param {String} [input] What to write to stdin.
+ * @return {Promise} Resolves with `{code, stdout, stderr}`.
+ */
+function runConsole(args, input) {
+  return mockServerInfo.then(netOpts => new Promise((resolve, reject) => {
+    const child = childProcess.spawn(process.execPath, [
+      path.join(__dirname, '..', 'console.js'),
+      '--host', netOpts.host,
+      '--port', String(netOpts.port),
+    ].concat(args))
+    let stdout = ''
+    let stderr = ''
+
+    child.stdout.setEncoding('utf8')
+    child.stderr.setEncoding('utf8')
+    child.stdout.on('data', data => stdout += data)
+    child.stderr.on('data', data => stderr += data)
+    child.on('error', reject)
+    child.on('close', code => resolve({code, stdout, stderr}))
+
+    child.stdin.end(input || '')
+  }))
+}
+
+
+function getMockServer() {
+  const WRITE_NO = 0
+  const WRITE_OK = 1
+  const WRITE_LIST_OK = 2
+
+  return new Promise((resolve, reject) => {
+    const server = net.createServer(function handler(client) {
+    })
+
+    let idleResponseNr = 0
+    let flakyFailed = false
+    // Makes the next password command fail.
+    let passwordExpired = false
+    const subscribers = new Set()
+    const storedPlaylists = new Map()
+    const idleResponses = [
+        'changed: player\nchanged: mixer\nchanged: database\nOK\n',
+        'changed: player\nOK\n',
+    ]
+
+    server.on('error', reject)
+    server.listen(function ready() {
+      resolve(server)
+    })
+
+    server.on('connection', function incoming(socket) {
+      socket.write('OK MPD mock\n')
+      socket.setEncoding('utf8')
+
+      let idle = null
+      let list = null
+      let listOk = null
+      // Commands that arrive while a slow command is pending.
+      let delayed = null
+
+      const subscriber = {
+        channels: new Set(),
+        messages: [],
+        receive(channel, text) {
+          this.messages.push({channel, text})
+
+          if (idle != null) {
+            clearTimeout(idle)
+            idle = null
+            socket.write('changed: message\nOK\n')
+          }
+        },
+      }
+      subscribers.add(subscriber)
+
+      socket.on('close', () => {
+        clearTimeout(idle)
+        subscribers.delete(subscriber)
+      })
+
+      socket.on('data', data => {
+        for (let command of data.split(/\n/)) {
+          receive(command)
+        }
+      })
+
+      function receive(command) {
+        if (delayed != null) {
+          delayed.push(command)
+        }
+        else if (!socket.destroyed) {
+          execute(command, list == null ? WRITE_OK : WRITE_NO)
+        }
+      }
+
+      function execute(command, writeOk, listNum) {
+        if (!command) return true
+
+        if (list != null && command !== 'command_list_end') {
+          list.push(command)
+          return true
+        }
+
+        if (command === 'play') {
+          if (writeOk === WRITE_OK) {
+            socket.write('OK\n')
+          }
+          else if (writeOk === WRITE_LIST_OK) {
+            socket.write('list_OK\n')
+          }
+        }
+        else if (command === 'setvol 50') {
+          if (writeOk === WRITE_OK) {
+            socket.write('OK\n')
+          }
+          else if (writeOk === WRITE_LIST_OK) {
+            socket.write('list_OK\n')
+          }
+        }
+        else if (command.startsWith('subscribe ')) {
+          subscriber.channels.add(JSON.parse(command.substring(10)))
+          socket.write('OK\n')
+        }
+        else if (command.startsWith('unsubscribe ')) {
+          subscriber.channels.delete(JSON.parse(command.substring(12)))
+          socket.write('OK\n')
+        }
+        else if (command.startsWith('sendmessage ')) {
+          const args = JSON.parse('[' + command.substring(12).replace('" "', '", "') + ']')
+          for (const other of subscribers) {
+            if (other.channels.has(args[0])) {
+              other.receive(args[0], args[1])
+            }
+          }
+          socket.write('OK\n')
+        }
+        else if (command === 'readmessages') {
+          for (const message of subscriber.messages) {
+            socket.write('channel: ' + message.channel + '\nmessage: ' + message.text + '\n')
+          }
+          subscriber.messages = []
+          socket.write('OK\n')
+        }
+        else if (command === 'search "title" "say \\"hi\\" \\\\o/"') {
+          socket.write('file: hi.mp3\n')
+          if (writeOk === WRITE_OK) {
+            socket.write('OK\n')
+          }
+          else if (writeOk === WRITE_LIST_OK) {
+            socket.write('list_OK\n')
+          }
+        }
+        else if (command === 'find "((Artist == \\"Foo\\") AND (Album == \\"Bar\\"))"') {
+          socket.write('file: expression.mp3\nOK\n')
+        }
+        else if (command === 'find "((Artist == \\"Say \\\\\\"hi\\\\\\" \\\\\\\\o/\\") AND (Album contains \\"live\\"))" "sort" "-Date" "window" "0:50"') {
+          socket.write('file: b.mp3\nDate: 2001\nfile: a.mp3\nDate: 1999\nOK\n')
+        }
+        else if (command === 'find "Artist" "Foo" "Album" "Bar"') {
+          socket.write('file: legacy.mp3\nOK\n')
+        }
+        else if (command.startsWith('playlistadd ')) {
+          const args = JSON.parse('[' + command.substring(12).replace('" "', '", "') + ']')
+          if (!storedPlaylists.has(args[0])) {
+            storedPlaylists.set(args[0], [])
+          }
+          storedPlaylists.get(args[0]).push(args[1])
+          if (writeOk === WRITE_OK) {
+            socket.write('OK\n')
+          }
+          else if (writeOk === WRITE_LIST_OK) {
+            socket.write('list_OK\n')
+          }
+        }
+        else if (command.startsWith('listplaylistinfo ')) {
+          const files = storedPlaylists.get(JSON.parse(command.substring(17)))
+          if (files == null) {
+            socket.write('ACK [50@' + (listNum || 0) + '] {listplaylistinfo} No such playlist\n')
+            return false
+          }
+          for (const file of files) {
+            socket.write('file: ' + file + '\nTime: 180\nduration: 180.250\nTitle: ' + file.replace(/\.mp3$/, '') + '\n')
+          }
+          socket.write('OK\n')
+        }
+        else if (command === 'password "secret"' && !passwordExpired) {
+          socket.write('OK\n')
+        }
+        else if (command.startsWith('password ')) {
+          passwordExpired = false
+          socket.write('ACK [3@0] {password} incorrect password\n')
+          return false
+        }
+        else if (command === 'stall') {
+          // Never respond.
+        }
+        else if (command === 'slow') {
+          // Like MPD, only answer the commands after it once it is done.
+          delayed = []
+          setTimeout(() => {
+            if (socket.destroyed) return
+
+            socket.write('OK\n')
+            const commands = delayed
+            delayed = null
+            commands.forEach(receive)
+          }, 100)
+        }
+        else if (command === 'kill') {
+          socket.destroy()
+          return false
+        }
+        else if (command === 'flaky') {
+          // Fails every other time.
+          flakyFailed = !flakyFailed
+          if (!flakyFailed) {
+            socket.write('OK\n')
+          }
+          else {
+            socket.destroy()
+            return false
+          }
+        }
+        else if (command === 'expirepassword') {
+          passwordExpired = true
+          socket.write('OK\n')
+        }
+        else if ((command === 'idle' || command.startsWith('idle ')) && subscriber.messages.length) {
+          socket.write('changed: message\nOK\n')
+        }
+        else if (command === 'idle' || command.startsWith('idle ')) {
+          idle = setTimeout(function () {
+            idle = null
+            socket.write(idleResponses[idleResponseNr])
+            idleResponseNr = (idleResponseNr + 1) % idleResponses.length
+          }, 500)
+        }
+        else if (command === 'noidle') {
+          if (idle != null) {
+            clearTimeout(idle)
+            idle = null
+          }
+          socket.write('OK\n')
+        }
+        else if (command === 'command_list_begin') {
+          list = []
+          listOk = false
+        }
+        else if (command === 'command_list_ok_begin') {
+          list = []
+          listOk = true
+        }
+        else if (command === 'command_list_end') {
+          let l = list
+          list = null
+          for (let i = 0; i < l.length; i += 1) {
+            if (!execute(l[i], listOk ? WRITE_LIST_OK : WRITE_NO, i)) {
+              return false
+            }
+          }
+          socket.write('OK\n')
+        }
+        else if (command === 'status') {
+          const lines = [
+            'foo000: bar',
+            'foo001: bar',
+            'foo002: bar',
+            'foo003: bar',
+            'foo004: bar',
+          ]
+
+          socket.write(lines.join('\n') + '\n')
+          if (writeOk === WRITE_OK) {
+            socket.write('OK\n')
+          }
+          else if (writeOk === WRITE_LIST_OK) {
+            socket.write('list_OK\n')
+          }
+        }
+        else if (command === 'listallinfo') {
+          const lines = []
+          for (let i = 0; i < 2000; i += 1) {
+            lines.push('file: song' + i + '.mp3', 'Title: Song ' + i)
+          }
+
+          socket.write(lines.join('\n') + '\nOK\n')
+        }
+        else if (command === 'lsinfo') {
+          const lines = [
+            'directory: music',
+            'Last-Modified: 2015-12-01T12:00:00Z',
+            'file: a.mp3',
+            'Title: A',
+            'file: b.mp3',
+            'Title: B',
+            'playlist: favourites',
+          ]
+
+          socket.write(lines.join('\n') + '\n')
+          if (writeOk === WRITE_OK) {
+            socket.write('OK\n')
+          }
+          else if (writeOk === WRITE_LIST_OK) {
+            socket.write('list_OK\n')
+          }
+        }
+        else if (command === 'listplaylists') {
+          socket.write('playlist: 1999\nLast-Modified: 2015-12-01T12:00:00Z\nOK\n')
+        }
+        else if (command === 'outputs') {
+          const lines = [
+            'outputid: 0',
+            'outputname: ALSA',
+            'plugin: alsa',
+            'outputenabled: 1',
+            'attribute: dop=0',
+            'outputid: 1',
+            'outputname: Stream',
+            'plugin: httpd',
+            'outputenabled: 0',
+          ]
+
+          socket.write(lines.join('\n') + '\n')
+          if (writeOk === WRITE_OK) {
+            socket.write('OK\n')
+          }
+          else if (writeOk === WRITE_LIST_OK) {
+            socket.write('list_OK\n')
+          }
+        }
+        else if (command.startsWith('albumart "cover.mp3" ')) {
+          const picture = Buffer.from([0x0a, 0x00, 0xff, 0x0a, 0x41, 0x0a])
+          const offset = parseInt(command.substring(21), 10)
+          const chunk = picture.slice(offset, offset + 4)
+
+          socket.write('size: ' + picture.length + '\ntype: image/png\nbinary: ' + chunk.length + '\n')
+          socket.write(chunk)
+          socket.write('\nOK\n')
+        }
+        else if (command === 'statusfail') {
+          const lines = [
+            'foo000: bar',
+            '',
+            'foo001:bar',
+            'foo002: bar',
+          ]
+
+          socket.write(lines.join('\n') + '\n')
+          if (writeOk === WRITE_OK) {
+            socket.write('OK\n')
+          }
+          else if (writeOk === WRITE_LIST_OK) {
+            socket.write('list_OK\n')
+          }
+        }
+        else {
+          socket.write('ACK [5@' + (listNum || 0) + '] {} unknown command "' + command.split(' ')[0] + '"\n')
+          return false
+        }
+
+        return true
       }
     })
   })
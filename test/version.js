@@ -0,0 +1,31 @@
+'use strict'
+
+const expect = require('chai').expect
+const Version = require('../lib/version').Version
+
+describe('#Version', function () {
+
+  it('parses versions and greetings', function () {
+    expect(Version.parse('0.21.11')).to.deep.equal(new Version(0, 21, 11))
+    expect(Version.parse('OK MPD 0.23.5\n')).to.deep.equal(new Version(0, 23, 5))
+    expect(Version.parse('0.19')).to.deep.equal(new Version(0, 19, 0))
+    expect(Version.parse('OK MPD mock')).to.equal(null)
+  })
+
+  it('compares versions', function () {
+    const version = Version.parse('0.21.11')
+
+    expect(version.compare('0.21.11')).to.equal(0)
+    expect(version.compare('0.21.2')).to.be.above(0)
+    expect(version.compare('0.22.0')).to.be.below(0)
+    expect(version.compare(new Version(1, 0, 0))).to.be.below(0)
+
+    expect(version.isAtLeast('0.21.0')).to.equal(true)
+    expect(version.isAtLeast('0.22.0')).to.equal(false)
+  })
+
+  it('can be converted to a string', function () {
+    expect(String(new Version(0, 22, 4))).to.equal('0.22.4')
+  })
+
+})